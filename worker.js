@@ -4,6 +4,7 @@
  * Features:
  * - Waktu Mode: Scheduled watering by time
  * - Sensor Mode: Automatic watering by soil moisture threshold
+ * - Command Channel: Manual siram / stop / tes_aktuator from the app via /perintah
  * - Redis Queue: Prevent race conditions & concurrent task management
  * - Firebase Realtime DB: Sync dengan Flutter app dan ESP32
  */
@@ -31,9 +32,10 @@ console.warn = function(...args) {
 
 require('dotenv').config();
 const admin = require('firebase-admin');
-const { Queue, Worker } = require('bullmq');
+const { Queue, Worker, DelayedError } = require('bullmq');
 const Redis = require('ioredis');
 const cron = require('cron');
+const os = require('os');
 
 // ==================== CONFIGURATION ====================
 
@@ -44,8 +46,11 @@ process.env.TZ = process.env.TZ || 'Asia/Jakarta';
 const FIREBASE_PATHS = {
   kontrol: 'kontrol_1',  // Main kontrol path (ubah ke 'kontrol' jika perlu)
   aktuator: 'aktuator',
+  aktuatorStatus: 'aktuator_status', // Feedback ESP32: state MOSFET sebenarnya
   data: 'data',
   history: 'history',
+  status: 'status',
+  perintah: 'perintah',
 };
 
 const config = {
@@ -61,10 +66,23 @@ const config = {
     privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
     databaseURL: process.env.FIREBASE_DATABASE_URL,
   },
+  aktuator: {
+    confirm: process.env.AKTUATOR_CONFIRM === 'true', // Tunggu konfirmasi ESP32 di /aktuator_status
+    confirmTimeout: parseInt(process.env.AKTUATOR_CONFIRM_TIMEOUT) || 5000, // ms per percobaan
+    confirmRetries: parseInt(process.env.AKTUATOR_CONFIRM_RETRIES) >= 0 ? parseInt(process.env.AKTUATOR_CONFIRM_RETRIES) : 2, // Tulis ulang output yang belum terkonfirmasi (default 2x, 0 = tanpa retry)
+    confirmPollInterval: 500,
+  },
   worker: {
-    concurrency: 1, // Process 1 job at a time (prevent race condition)
-    checkInterval: 60000, // Check jadwal setiap 60 detik (reduced from 30s)
+    concurrency: 1, // Process 1 job at a time across ALL replicas (prevent race condition on /aktuator)
+    scheduleSyncInterval: 300000, // Fallback sync /kontrol setiap 5 menit (listener handles realtime changes)
     sensorDebounce: 120000, // 2 menit minimum antar penyiraman per pot
+    nextRunsCount: 5, // Jumlah jadwal berikutnya per jadwal_N di /status/next_runs
+    leaderLeaseTtl: 15000, // Lease leader di Redis (failover maksimal ~TTL + renew interval)
+    leaderRenewInterval: 5000, // Renew / coba ambil lease setiap 5 detik
+    perintahPollInterval: 15000, // Polling /perintah (cadangan listener)
+    perintahMaxAge: 600000, // Perintah lebih tua dari 10 menit tidak dijalankan
+    perintahRetention: 7 * 24 * 60 * 60 * 1000, // Perintah yang sudah final dihapus setelah 7 hari
+    shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT) || 20000, // Tunggu job aktif selesai sebelum dihentikan + dikembalikan ke queue (ms)
   },
 };
 
@@ -133,493 +151,3306 @@ const wateringQueue = new Queue('watering', { connection: redis });
 redis.on('connect', () => console.log('✅ Redis connected'));
 redis.on('error', (err) => console.error('❌ Redis error:', err.message));
 
-// Track last watering time PER-THRESHOLD (not per-pot!) untuk prevent spam
-const lastThresholdTime = {};
-
-// ==================== WATERING WORKER ====================
+// All replicas share one /aktuator node: only one job may run cluster-wide
+// (worker `concurrency` alone is per process)
+wateringQueue.setGlobalConcurrency(config.worker.concurrency)
+  .then(() => console.log(`✅ Queue global concurrency: ${config.worker.concurrency}`))
+  .catch(err => console.error('❌ Failed to set queue global concurrency:', err.message));
 
-const wateringWorker = new Worker(
-  'watering',
-  async (job) => {
-    const { type, potNumbers, pompaAir, pompaPupuk, duration, scheduleId, thresholdId, smartMode, sensorData } = job.data;
+// ==================== TRIGGER DEDUPLICATION (REDIS) ====================
 
-    console.log(`\n💧 Processing Job: ${job.id}`);
-    console.log(`   Type: ${type}`);
-    console.log(`   Pots: [${potNumbers.join(', ')}]`);
-    console.log(`   Mode: ${smartMode ? 'SMART (auto-stop at target)' : 'FIXED'}`);
-    console.log(`   Duration: ${duration}s ${smartMode ? '(max)' : ''}`);
-    if (sensorData) {
-      console.log(`   Target: ${sensorData.batasBawah}% → ${sensorData.batasAtas}%`);
-    }
+// Trigger markers live in Redis (SET NX + TTL) instead of process memory, so a
+// schedule minute or a threshold episode enqueues at most one job across all
+// worker replicas and across restarts.
+const TRIGGER_KEY_PREFIX = 'apsgo:trigger';
+const SCHEDULE_TRIGGER_TTL = 26 * 60 * 60 * 1000; // Longer than the 24h catch-up window
+const THRESHOLD_QUEUE_BUFFER = 15 * 60 * 1000; // Max expected wait in queue before the job starts
 
-    try {
-      // Prepare aktuator updates
-      const updates = {};
-      if (pompaAir) updates['mosvet_1'] = true;
-      if (pompaPupuk) updates['mosvet_2'] = true;
+function scheduleTriggerKey(jobKey) {
+  return `${TRIGGER_KEY_PREFIX}:schedule:${jobKey}`;
+}
 
-      // Turn ON valves for selected pots
-      for (const pot of potNumbers) {
-        if (pot >= 1 && pot <= 5) {
-          updates[`mosvet_${pot + 2}`] = true; // pot 1 → mosvet_3, etc.
-        }
-      }
+// One marker PER-THRESHOLD (not per-pot!): held while the job is queued/running,
+// then shortened to the sensorDebounce cooldown when the job ends
+function thresholdTriggerKey(thresholdKey) {
+  return `${TRIGGER_KEY_PREFIX}:threshold:${thresholdKey}`;
+}
 
-      // Turn ON
-      console.log('   🔛 Turning ON:', Object.keys(updates).join(', '));
-      console.log('   📌 Firebase path: aktuator');
-      console.log('   📝 Updates:', JSON.stringify(updates, null, 2));
-      
-      await updateFirebaseSmart('aktuator', updates);
-      console.log(`   🚀 ALL VALVES STARTED SIMULTANEOUSLY: ${Object.keys(updates).filter(k => k.startsWith('mosvet_')).join(', ')}`);
-      
-      // SMART MODE: Monitor sensor and stop pots TOGETHER when they reach target
-      if (smartMode && sensorData && sensorData.batasAtas) {
-        const targetSoil = sensorData.batasAtas;
-        const maxDuration = duration * 1000; // Convert to ms
-        const startTime = Date.now();
-        
-        // Track which pots are still actively watering
-        let activePots = [...potNumbers];
-        
-        console.log(`   🎯 SMART MODE: Monitoring ${activePots.length} pots, target ${targetSoil}%...`);
-        console.log(`   ⚡ Valves will stop TOGETHER when pots reach target (checked every 2s)`);
-        
-        while (activePots.length > 0 && Date.now() - startTime < maxDuration) {
-          await sleep(2000); // Check every 2 seconds
-          
-          try {
-            const currentSensorData = await readFirebaseSmart('data');
-            
-            if (currentSensorData) {
-              const elapsed = Math.floor((Date.now() - startTime) / 1000);
-              const potsToStop = [];
-              
-              // Check ALL active pots and collect which ones reached target
-              for (const pot of activePots) {
-                const soilKey = `soil_${pot}`;
-                const currentValue = parseInt(currentSensorData[soilKey]) || 0;
-                
-                if (currentValue >= targetSoil) {
-                  console.log(`   ✅ [${elapsed}s] POT ${pot}: ${currentValue}% >= ${targetSoil}% - TARGET REACHED!`);
-                  potsToStop.push(pot);
-                } else {
-                  console.log(`   ⏳ [${elapsed}s] POT ${pot}: ${currentValue}% < ${targetSoil}% - continuing...`);
-                }
-              }
-              
-              // Stop ALL pots that reached target TOGETHER (not one-by-one!)
-              if (potsToStop.length > 0) {
-                const stopUpdates = {};
-                for (const pot of potsToStop) {
-                  stopUpdates[`mosvet_${pot + 2}`] = false;
-                }
-                
-                await updateFirebaseSmart('aktuator', stopUpdates);
-                console.log(`   🔴 STOPPED TOGETHER: ${Object.keys(stopUpdates).join(', ')} (Pots: [${potsToStop.join(', ')}])`);
-                
-                // Remove stopped pots from active list
-                activePots = activePots.filter(p => !potsToStop.includes(p));
-              }
-              
-              if (activePots.length === 0) {
-                console.log(`   🎉 All pots reached target! Smart watering complete.`);
-              } else {
-                console.log(`   📍 Still watering: [${activePots.join(', ')}]`);
-              }
-            }
-          } catch (sensorError) {
-            console.warn(`   ⚠️ Failed to read sensor: ${sensorError.message}`);
-          }
-        }
-        
-        // If any pots still active after max duration (timeout), stop them now TOGETHER
-        if (activePots.length > 0) {
-          console.log(`   ⏱️ Max duration ${duration}s reached. Force stopping remaining pots: [${activePots.join(', ')}]`);
-          const timeoutStops = {};
-          for (const pot of activePots) {
-            timeoutStops[`mosvet_${pot + 2}`] = false;
-          }
-          await updateFirebaseSmart('aktuator', timeoutStops);
-          console.log(`   🔴 Force stopped TOGETHER: ${Object.keys(timeoutStops).join(', ')}`);
-        }
-        
-        // Finally, stop pumps
-        const pumpStop = {};
-        if (pompaAir) pumpStop['mosvet_1'] = false;
-        if (pompaPupuk) pumpStop['mosvet_2'] = false;
-        if (Object.keys(pumpStop).length > 0) {
-          await updateFirebaseSmart('aktuator', pumpStop);
-          console.log('   🔴 Pumps stopped:', Object.keys(pumpStop).join(', '));
-        }
-        console.log('   ✅ Smart mode completed, now logging history...');
-        
-      } else {
-        // FIXED MODE: Wait for fixed duration
-        const startTime = Date.now();
-        const endTime = startTime + duration * 1000;
+// Returns true if this instance claimed the marker (nobody else holds it)
+async function claimTrigger(key, value, ttlMs) {
+  const result = await redis.set(key, value, 'PX', ttlMs, 'NX');
+  return result === 'OK';
+}
 
-        while (Date.now() < endTime) {
-          const remaining = Math.ceil((endTime - Date.now()) / 1000);
-          if (remaining % 10 === 0 || remaining <= 5) {
-            console.log(`   ⏳ ${remaining}s remaining...`);
-          }
-          await sleep(1000);
-        }
-        
-        // Turn OFF all at once (FIXED mode only)
-        const offUpdates = {};
-        for (const key in updates) {
-          offUpdates[key] = false;
-        }
-        console.log('   🔴 Turning OFF:', Object.keys(offUpdates).join(', '));
-        await updateFirebaseSmart('aktuator', offUpdates);
-        console.log('   ✅ Turn OFF completed, now logging history...');
-      }
+async function releaseTrigger(key) {
+  try {
+    await redis.del(key);
+  } catch (error) {
+    console.warn(`   ⚠️ Failed to release trigger ${key}: ${error.message}`);
+  }
+}
 
-      // Log history
-      await logHistory(type, potNumbers, duration);
-      console.log('   ✅ History logged successfully');
+// ==================== SCHEDULE MERGE LOCK ====================
 
-      // Update last watering time PER-THRESHOLD (not per-pot!)
-      if (thresholdId) {
-        lastThresholdTime[thresholdId] = Date.now();
-        console.log(`   ⏰ Cooldown set for ${thresholdId} (2 minutes)`);
-      }
+// on_conflict=merge rewrites the data of a queued job, which a worker may take at
+// the same moment. Both sides go through one marker per job:
+//   - the processor sets it to 'started' before it reads job.data (no merge after that)
+//   - a merge holds it as 'merging' while it updates the job
+const JOB_START_KEY_PREFIX = 'apsgo:jobstart';
+const JOB_START_TTL = 24 * 60 * 60 * 1000;
+const MERGE_LOCK_TTL = 10000;
+const RELEASE_IF_VALUE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
 
-      console.log(`   ✅ Job completed successfully`);
-      return { success: true, duration, pots: potNumbers };
-    } catch (error) {
-      console.error(`   ❌ Job failed:`, error.message);
+function jobStartKey(jobId) {
+  return `${JOB_START_KEY_PREFIX}:${jobId}`;
+}
 
-      // Safety: Turn OFF everything
-      try {
-        await updateFirebaseSmart('aktuator', {
-          mosvet_1: false,
-          mosvet_2: false,
-          mosvet_3: false,
-          mosvet_4: false,
-          mosvet_5: false,
-          mosvet_6: false,
-          mosvet_7: false,
-          mosvet_8: false, // Pengaduk
-        });
-        console.log('   🛡️ Safety: All aktuators turned OFF');
-      } catch (safetyError) {
-        console.error('   ⚠️ Safety OFF failed:', safetyError.message);
+// Mark the job started and return its latest data (a merge may have just updated it).
+// A re-run (stalled / crashed job) finds its own 'started' marker and goes on.
+async function claimJobStart(job) {
+  const key = jobStartKey(job.id);
+  const deadline = Date.now() + 2 * MERGE_LOCK_TTL;
+  while (Date.now() < deadline) {
+    try {
+      if (await claimTrigger(key, 'started', JOB_START_TTL) || await redis.get(key) === 'started') {
+        break;
       }
-
-      throw error;
+    } catch (error) {
+      console.warn(`   ⚠️ Job start marker failed: ${error.message}`);
+      break;
     }
-  },
-  {
-    connection: redis,
-    concurrency: config.worker.concurrency,
-    lockDuration: 900000, // 15 minutes max job time (duration 600s + 5min buffer)
-    removeOnComplete: { count: 100 }, // Keep last 100 completed jobs
-    removeOnFail: { count: 50 }, // Keep last 50 failed jobs
+    await sleep(250);
   }
-);
-
-wateringWorker.on('completed', (job) => {
-  console.log(`✅ Worker completed job ${job.id}`);
-});
+  const latest = await wateringQueue.getJob(job.id).catch(() => null);
+  return latest?.data || job.data;
+}
 
-wateringWorker.on('failed', (job, err) => {
-  console.error(`❌ Worker failed job ${job?.id}:`, err.message);
-});
+// Fold a firing schedule into a queued job that has not started. Returns
+// { duration, changed } (pots that now run longer than planned) or null.
+async function mergeIntoWaitingJob(targetId, jobKey, job) {
+  const key = jobStartKey(targetId);
+  if (!await claimTrigger(key, 'merging', MERGE_LOCK_TTL)) {
+    return null; // Already started (or another merge in progress)
+  }
+  try {
+    const target = await wateringQueue.getJob(targetId);
+    if (!target) {
+      return null;
+    }
+    const data = target.data;
+    const duration = Math.max(data.duration, job.duration);
+
+    // Planned seconds per pot: every pot now runs `duration`
+    const planned = new Map((data.digabung?.durasi_rencana || data.potNumbers.map(pot => ({ pot, detik: data.duration })))
+      .map(entry => [entry.pot, entry.detik]));
+    job.potNumbers.forEach(pot => planned.set(pot, Math.max(planned.get(pot) || 0, job.duration)));
+    const durasiRencana = [...planned].map(([pot, detik]) => ({ pot, detik }));
+
+    await target.updateData({
+      ...data,
+      potNumbers: [...planned.keys()],
+      duration,
+      pompaAir: data.pompaAir || job.pompaAir,
+      pompaPupuk: data.pompaPupuk || job.pompaPupuk,
+      digabung: { dari: [...(data.digabung?.dari || []), jobKey], durasi_rencana: durasiRencana },
+    });
+    return { duration, changed: durasiRencana.filter(entry => entry.detik !== duration) };
+  } catch (error) {
+    console.warn(`   ⚠️ Merge into ${targetId} failed: ${error.message}`);
+    return null;
+  } finally {
+    await redis.eval(RELEASE_IF_VALUE_SCRIPT, 1, key, 'merging').catch(() => {});
+  }
+}
 
-// ==================== WAKTU MODE (TIME SCHEDULER) ====================
+// Start the per-threshold cooldown (overwrites the episode marker)
+async function startThresholdCooldown(thresholdId, jobId) {
+  try {
+    await redis.set(thresholdTriggerKey(thresholdId), jobId, 'PX', config.worker.sensorDebounce);
+    console.log(`   ⏰ Cooldown set for ${thresholdId} (${config.worker.sensorDebounce / 60000} minutes)`);
+  } catch (error) {
+    console.warn(`   ⚠️ Failed to set cooldown for ${thresholdId}: ${error.message}`);
+  }
+}
 
-let lastScheduleCheck = {};
+// ==================== JOB CANCELLATION ====================
 
-// Counter untuk tracking berapa kali check dilakukan
-let checkCounter = 0;
-let consecutiveFirebaseErrors = 0;
-let sdkSuccessCount = 0;
-let restFallbackCount = 0;
+// A running job stops early when:
+//   - a stop command (/perintah, optionally with job_id) sets apsgo:cancel:{jobId} (works across replicas)
+//   - the job is removed from the queue (e.g. obliterate / Redis cleanup from a dashboard)
+//   - /kontrol_1/stop_darurat is true (emergency stop: also cancels new jobs until cleared)
+const CANCEL_KEY_PREFIX = 'apsgo:cancel';
+const CANCEL_KEY_TTL = 24 * 60 * 60 * 1000;
+const CANCEL_CHECK_INTERVAL = 2000;
 
-// Smart fallback: Skip SDK jika sudah gagal berturut-turut 3x
-const SKIP_SDK_THRESHOLD = 3;
-const RESET_THRESHOLD_AFTER = 50; // Reset counter setelah 50 check (50 menit)
+function cancelKey(jobId) {
+  return `${CANCEL_KEY_PREFIX}:${jobId}`;
+}
 
-// Helper function untuk Firebase fetch dengan timeout
-async function fetchWithTimeout(ref, timeoutMs = 5000) {
-  return Promise.race([
-    ref.once('value'),
-    new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Firebase fetch timeout')), timeoutMs)
-    )
-  ]);
+async function requestJobCancel(jobId, reason) {
+  await redis.set(cancelKey(jobId), reason, 'PX', CANCEL_KEY_TTL);
+  console.log(`   🛑 Cancel requested for ${jobId}: ${reason}`);
 }
 
-// Helper: Fetch with timeout wrapper (for REST API calls)
-async function fetchWithTimeout2(url, options = {}, timeoutMs = 8000) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
-  
+// Reason the job should stop, or null. Read errors keep the job running.
+async function getCancelReason(job) {
   try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal
-    });
-    clearTimeout(timeout);
-    return response;
-  } catch (error) {
-    clearTimeout(timeout);
-    if (error.name === 'AbortError') {
-      throw new Error('REST API timeout');
+    const requested = await redis.get(cancelKey(job.id));
+    if (requested) {
+      return requested;
     }
-    throw error;
+    if (!await wateringQueue.getJob(job.id)) {
+      return 'job dihapus dari queue';
+    }
+    if (await readFirebaseSmart(`${FIREBASE_PATHS.kontrol}/stop_darurat`) === true) {
+      return 'stop darurat aktif';
+    }
+  } catch (error) {
+    console.warn(`   ⚠️ Cancel check failed: ${error.message}`);
   }
+  return null;
 }
 
-// Fallback: Fetch via Firebase REST API (lebih reliable)
-async function fetchKontrolViaREST() {
-  const url = `${config.firebase.databaseURL}/${FIREBASE_PATHS.kontrol}.json`;
-  console.log(`   [DEBUG] Trying REST API: ${url}`);
-  
-  const response = await fetchWithTimeout2(url, {
-    method: 'GET',
-    headers: { 'Content-Type': 'application/json' }
-  }, 8000);
-  
-  if (!response.ok) {
-    throw new Error(`REST API failed: ${response.status} ${response.statusText}`);
+// Set on shutdown: the running job stops without being cancelled - it goes back to
+// the queue and resumes from its checkpoint (after the restart, or on another replica)
+let interruptReason = null;
+
+function interruptActiveJob(reason) {
+  interruptReason = reason;
+  console.log(`   ⏸️ Interrupt requested for the active job: ${reason}`);
+}
+
+// Job ids whose cancellation / interruption is already in history: the processor and
+// a forced shutdown (stuck processor) may both try to record the same job
+const cancelHistoryLogged = new Set();
+
+function claimCancelHistory(jobId) {
+  if (cancelHistoryLogged.has(jobId)) {
+    return false;
   }
-  
-  const data = await response.json();
-  console.log('   [DEBUG] REST API successful!');
-  return data;
+  cancelHistoryLogged.add(jobId);
+  return true;
 }
 
-// Smart fetch: Try SDK first, fallback to REST if needed
-async function fetchKontrolSmart() {
-  // Smart fallback: Skip SDK if it failed 3+ times consecutively
-  const shouldSkipSDK = consecutiveFirebaseErrors >= SKIP_SDK_THRESHOLD;
-  
-  if (shouldSkipSDK) {
-    console.log('   [SMART] Skipping SDK (3+ consecutive failures), using REST API directly...');
-    try {
-      const data = await fetchKontrolViaREST();
-      restFallbackCount++;
-      
-      // Reset counter setelah threshold untuk retry SDK
-      if (restFallbackCount >= RESET_THRESHOLD_AFTER) {
-        console.log('   [SMART] Resetting SDK retry counter...');
-        consecutiveFirebaseErrors = 0;
-        restFallbackCount = 0;
+// Per-job watcher polled from every wait loop (at most every CANCEL_CHECK_INTERVAL)
+function createCancelWatch(job) {
+  let lastCheck = 0;
+  return {
+    async check(force = false) {
+      if (interruptReason) {
+        const error = new Error(`Job dihentikan: ${interruptReason}`);
+        error.interrupted = true;
+        error.reason = interruptReason;
+        throw error;
       }
-      
-      return data;
-    } catch (restError) {
-      console.error('   ❌ REST API failed:', restError.message);
-      throw new Error('REST API failed');
+      if (!force && Date.now() - lastCheck < CANCEL_CHECK_INTERVAL) {
+        return;
+      }
+      lastCheck = Date.now();
+      const reason = await getCancelReason(job);
+      if (reason) {
+        const error = new Error(`Job dibatalkan: ${reason}`);
+        error.cancelled = true;
+        error.reason = reason;
+        throw error;
+      }
+    },
+  };
+}
+
+// sleep() that throws a cancelled error as soon as the job is cancelled
+async function waitWithCancel(ms, watch) {
+  const end = Date.now() + ms;
+  while (Date.now() < end) {
+    await sleep(Math.min(1000, end - Date.now()));
+    if (watch) {
+      await watch.check();
     }
   }
-  
-  // Normal flow: Try SDK first
+}
+
+// Every output a job may switch on (valves, pumps, mixer, routine steps)
+function getJobOutputs(data) {
+  const outputs = new Set();
+  if (data.pompaAir) outputs.add('mosvet_1');
+  if (data.pompaPupuk) outputs.add('mosvet_2');
+  (data.potNumbers || []).forEach(pot => outputs.add(`mosvet_${pot + 2}`));
+  if (data.fertigasi) {
+    outputs.add('mosvet_1');
+    outputs.add('mosvet_8');
+  }
+  (data.rutin?.langkah || []).forEach(step => step.outputs.forEach(k => outputs.add(k)));
+  return [...outputs];
+}
+
+// ==================== ACTUATOR CONFIRMATION (ESP32 FEEDBACK) ====================
+
+// With AKTUATOR_CONFIRM=true the ESP32 mirrors the real MOSFET states to
+// /aktuator_status { mosvet_1: true, ... }. Every job write waits for that feedback,
+// re-writes outputs that didn't switch, and fails the job (→ safety all OFF) if an
+// output never confirms.
+
+// Output keys of `updates` whose /aktuator_status doesn't match yet (after timeoutMs)
+async function waitForAktuatorStatus(updates, timeoutMs) {
+  const keys = Object.keys(updates).filter(k => k.startsWith('mosvet_'));
+  const deadline = Date.now() + timeoutMs;
+  let pending = keys;
+
+  while (pending.length > 0) {
+    try {
+      const status = await readFirebaseSmart(FIREBASE_PATHS.aktuatorStatus) || {};
+      pending = keys.filter(k => status[k] !== updates[k]);
+    } catch (error) {
+      console.warn(`   ⚠️ Failed to read /${FIREBASE_PATHS.aktuatorStatus}: ${error.message}`);
+    }
+    if (pending.length === 0 || Date.now() >= deadline) {
+      break;
+    }
+    await sleep(config.aktuator.confirmPollInterval);
+  }
+  return pending;
+}
+
+// Write actuator outputs and (optionally) wait for the ESP32 to confirm them
+async function setAktuator(updates) {
+  await writeAktuator(updates);
+  if (!config.aktuator.confirm) {
+    return;
+  }
+
+  const { confirmTimeout, confirmRetries } = config.aktuator;
+  let pending = [];
+  for (let attempt = 0; attempt <= confirmRetries; attempt++) {
+    pending = await waitForAktuatorStatus(updates, confirmTimeout);
+    if (pending.length === 0) {
+      return;
+    }
+    if (attempt < confirmRetries) {
+      const retryUpdates = {};
+      pending.forEach(k => { retryUpdates[k] = updates[k]; });
+      console.warn(`   ⚠️ ESP32 belum konfirmasi ${pending.join(', ')} - retry ${attempt + 1}/${confirmRetries}`);
+      await updateFirebaseSmart(FIREBASE_PATHS.aktuator, retryUpdates);
+    }
+  }
+
+  const detail = pending.map(k => `${k}=${updates[k] ? 'ON' : 'OFF'}`).join(', ');
+  console.error(`   🚨 AKTUATOR TIDAK TERKONFIRMASI: ${detail} (${confirmRetries + 1}× ${confirmTimeout}ms)`);
+  const error = new Error(`ESP32 tidak mengkonfirmasi ${detail}`);
+  error.aktuatorUnconfirmed = true;
+  throw error;
+}
+
+// Safety path: report loudly if the ESP32 still shows an output ON after all OFF
+async function verifySafetyOff() {
+  if (!config.aktuator.confirm) {
+    return;
+  }
+  const stillOn = await waitForAktuatorStatus(ALL_AKTUATOR_OFF, config.aktuator.confirmTimeout);
+  if (stillOn.length > 0) {
+    console.error(`   🚨 SAFETY OFF TIDAK TERKONFIRMASI: ${stillOn.join(', ')} masih ON menurut ESP32 - cek perangkat!`);
+  } else {
+    console.log('   🛡️ Safety OFF confirmed by ESP32');
+  }
+}
+
+// ==================== DEAD-MAN LEASE (AKTUATOR/_LEASE_SAMPAI) ====================
+
+// While any output is ON the worker keeps /aktuator/_lease_sampai (Unix epoch SECONDS)
+// about a minute in the future, renewing it every 20s. Firmware rule for the ESP32:
+//   if _lease_sampai exists and now > _lease_sampai → turn every mosvet OFF.
+// So a worker killed mid-job can't leave valves open. The key is removed once all outputs are OFF.
+const AKTUATOR_LEASE_TTL = 60000;
+const AKTUATOR_LEASE_RENEW_INTERVAL = 20000;
+const AKTUATOR_LEASE_KEY = '_lease_sampai';
+
+const aktuatorOutputsOn = new Set();
+let aktuatorLeaseIntervalId = null;
+
+function aktuatorLeaseExpiry() {
+  return Math.floor((Date.now() + AKTUATOR_LEASE_TTL) / 1000);
+}
+
+async function renewAktuatorLease() {
   try {
-    console.log('   [DEBUG] Attempting SDK fetch...');
-    const snapshot = await fetchWithTimeout(db.ref(FIREBASE_PATHS.kontrol), 5000);
-    consecutiveFirebaseErrors = 0; // Reset error counter
-    restFallbackCount = 0; // Reset fallback counter
-    sdkSuccessCount++;
-    return snapshot.val();
-  } catch (sdkError) {
-    console.warn('   ⚠️  SDK fetch failed, trying REST API...');
-    consecutiveFirebaseErrors++;
-    
+    await updateFirebaseSmart(FIREBASE_PATHS.aktuator, { [AKTUATOR_LEASE_KEY]: aktuatorLeaseExpiry() });
+  } catch (error) {
+    // ESP32 shuts the outputs off when the lease runs out - the safe outcome
+    console.error(`   ⚠️ Failed to renew aktuator lease: ${error.message}`);
+  }
+}
+
+// Every worker write to /aktuator goes through here so the lease follows the outputs
+async function writeAktuator(updates) {
+  trackCheckpointValves(updates);
+  for (const [key, value] of Object.entries(updates)) {
+    if (!key.startsWith('mosvet_')) continue;
+    if (value) {
+      aktuatorOutputsOn.add(key);
+    } else {
+      aktuatorOutputsOn.delete(key);
+    }
+  }
+
+  // The lease is ours while the renew interval runs: only the owner removes it, so an
+  // all-OFF from an idle replica can't drop the lease of another replica's job
+  const ownsLease = aktuatorLeaseIntervalId !== null;
+  const anyOn = aktuatorOutputsOn.size > 0;
+  if (anyOn && !aktuatorLeaseIntervalId) {
+    aktuatorLeaseIntervalId = setInterval(renewAktuatorLease, AKTUATOR_LEASE_RENEW_INTERVAL);
+  } else if (!anyOn && aktuatorLeaseIntervalId) {
+    clearInterval(aktuatorLeaseIntervalId);
+    aktuatorLeaseIntervalId = null;
+  }
+
+  await updateFirebaseSmart(FIREBASE_PATHS.aktuator, {
+    ...updates,
+    ...(anyOn && { [AKTUATOR_LEASE_KEY]: aktuatorLeaseExpiry() }),
+    ...(!anyOn && ownsLease && { [AKTUATOR_LEASE_KEY]: null }),
+  });
+}
+
+// Startup: outputs ON without a live lease belong to no running job (e.g. a killed
+// container) → turn them OFF and record it. A lease that is still live may belong to
+// another replica's job, or to this container's previous life: check again once it expires.
+async function reconcileAktuators(isRecheck = false) {
+  try {
+    const aktuatorData = await readFirebaseSmart(FIREBASE_PATHS.aktuator) || {};
+    const stuckOn = Object.keys(aktuatorData).filter(k => k.startsWith('mosvet_') && aktuatorData[k] === true);
+    if (stuckOn.length === 0 || aktuatorOutputsOn.size > 0) {
+      return;
+    }
+
+    const leaseSampai = Number(aktuatorData[AKTUATOR_LEASE_KEY]);
+    if (Number.isFinite(leaseSampai) && leaseSampai * 1000 > Date.now()) {
+      if (!isRecheck) {
+        const waitMs = leaseSampai * 1000 - Date.now() + 5000;
+        console.log(`🔌 Aktuator ON (${stuckOn.join(', ')}) with a live lease - re-checking in ${Math.ceil(waitMs / 1000)}s`);
+        setTimeout(() => reconcileAktuators(true), waitMs);
+      }
+      return;
+    }
+
+    console.warn(`🔌 RECONCILE: ${stuckOn.join(', ')} ON without a live job - turning OFF`);
+    await writeAktuator(ALL_AKTUATOR_OFF);
+    const pots = stuckOn.map(k => Number(k.slice('mosvet_'.length)) - 2).filter(pot => pot >= 1 && pot <= 5);
+    await logHistory('rekonsiliasi_aktuator', pots, 0, { aktuator_dimatikan: stuckOn });
+  } catch (error) {
+    console.error('❌ Aktuator reconcile failed:', error.message);
+  }
+}
+
+// ==================== LIVE JOB PROGRESS (/status/job_aktif) ====================
+
+// State of the job this instance is processing (concurrency 1), published every few
+// seconds so the app can show e.g. "menyiram pot 3, 42% → 70%". Removed when the job ends.
+const JOB_PROGRESS_INTERVAL = 3000;
+
+let jobAktif = null;
+let jobAktifIntervalId = null;
+let lastProgressPublish = Promise.resolve();
+
+function startJobProgress(job, mode, plannedSeconds) {
+  const { type, potNumbers, smartMode, sensorData } = job.data;
+  const kelembapan = {};
+  (sensorData?.potValues || []).forEach(({ pot, value }) => {
+    kelembapan[pot] = { nilai: value, target: sensorData.batasAtas ?? null };
+  });
+
+  jobAktif = {
+    job_id: job.id,
+    type,
+    pots: potNumbers,
+    mode,
+    smart: smartMode === true,
+    target: smartMode ? sensorData?.batasAtas ?? null : null,
+    mulai: Date.now(),
+    durasi_rencana: plannedSeconds,
+    fase: 'mulai',
+    pot_berjalan: null,
+    pot_selesai: [],
+    kelembapan,
+  };
+  publishJobProgress();
+  jobAktifIntervalId = setInterval(publishJobProgress, JOB_PROGRESS_INTERVAL);
+}
+
+function updateJobProgress(fields) {
+  if (jobAktif) {
+    Object.assign(jobAktif, fields);
+  }
+}
+
+function markPotsStopped(pots) {
+  if (jobAktif) {
+    jobAktif.pot_selesai = [...new Set([...jobAktif.pot_selesai, ...pots])];
+  }
+  checkpointPotsDone(pots);
+}
+
+function recordPotMoisture(pot, value, target) {
+  if (jobAktif) {
+    jobAktif.kelembapan[pot] = { nilai: value, target };
+  }
+}
+
+// Volume mode: replaced (not mutated) so earlier snapshots keep their values
+function recordPotVolume(pot, ml, target) {
+  if (jobAktif) {
+    jobAktif.volume = { ...jobAktif.volume, [pot]: { terkirim_ml: Math.round(ml), target_ml: target } };
+  }
+}
+
+function publishJobProgress() {
+  if (!jobAktif) {
+    return lastProgressPublish;
+  }
+  const elapsed = Math.floor((Date.now() - jobAktif.mulai) / 1000);
+  const snapshot = {
+    ...jobAktif,
+    kelembapan: { ...jobAktif.kelembapan },
+    pot_berjalan: jobAktif.pot_berjalan ?? jobAktif.pots.filter(p => !jobAktif.pot_selesai.includes(p)),
+    elapsed_detik: elapsed,
+    sisa_detik: Math.max(0, jobAktif.durasi_rencana - elapsed),
+    diperbarui: Date.now(),
+  };
+  lastProgressPublish = lastProgressPublish
+    .then(() => setFirebaseSmart(`${FIREBASE_PATHS.status}/job_aktif`, snapshot, { quiet: true }))
+    .catch(error => console.warn(`   ⚠️ Failed to publish job progress: ${error.message}`));
+  return lastProgressPublish;
+}
+
+async function finishJobProgress() {
+  clearInterval(jobAktifIntervalId);
+  jobAktifIntervalId = null;
+  jobAktif = null;
+  await lastProgressPublish; // Don't let a late update re-create the node
+  try {
+    await setFirebaseSmart(`${FIREBASE_PATHS.status}/job_aktif`, null);
+  } catch (error) {
+    console.warn(`   ⚠️ Failed to clear job progress: ${error.message}`);
+  }
+}
+
+// ==================== JOB CHECKPOINTS (CRASH RESUME) ====================
+
+// Progress of the running job, saved to Redis (apsgo:checkpoint:{jobId}) every few
+// seconds. When the container dies mid-job, BullMQ re-runs the stalled job and the
+// processor continues from the checkpoint instead of watering everything again:
+//   - delivered: seconds each pot valve was open → fixed/smart/batch water only the rest
+//   - selesai:   pots already done (smart target reached, batch finished) → skipped
+//   - langkah:   current sequence step (siklus pulse/soak, rutin step, fertigasi phase)
+//                + seconds spent in it → earlier steps skipped, this one shortened
+//   - volume_ml: ml measured per pot (volume mode) → counted towards the volume target
+const CHECKPOINT_KEY_PREFIX = 'apsgo:checkpoint';
+const CHECKPOINT_TTL = 24 * 60 * 60 * 1000;
+const CHECKPOINT_SAVE_INTERVAL = 5000;
+
+let jobCheckpoint = null;
+let jobCheckpointIntervalId = null;
+let resumeCheckpoint = null; // Checkpoint of the interrupted run being resumed
+let lastCheckpointSave = Promise.resolve();
+
+function checkpointKey(jobId) {
+  return `${CHECKPOINT_KEY_PREFIX}:${jobId}`;
+}
+
+// Checkpoint left by an earlier (crashed) run of this job, or null
+async function loadJobCheckpoint(jobId) {
+  try {
+    const raw = await redis.get(checkpointKey(jobId));
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn(`   ⚠️ Failed to read checkpoint: ${error.message}`);
+    return null;
+  }
+}
+
+function startJobCheckpoint(job, previous) {
+  resumeCheckpoint = previous;
+  jobCheckpoint = {
+    jobId: job.id,
+    mulai: previous?.mulai ?? Date.now(),
+    percobaan: (previous?.percobaan || 0) + 1,
+    delivered: { ...(previous?.delivered || {}) },
+    selesai: [...(previous?.selesai || [])],
+    volumeMl: { ...(previous?.volume_ml || {}) },
+    langkah: previous?.langkah ?? null,
+    langkahDetikAwal: previous?.langkah_detik || 0,
+    langkahMulai: null,
+    openSince: {},
+  };
+  saveJobCheckpoint();
+  jobCheckpointIntervalId = setInterval(saveJobCheckpoint, CHECKPOINT_SAVE_INTERVAL);
+}
+
+// Called from writeAktuator: count how long each pot valve (mosvet_3..7) is open
+function trackCheckpointValves(updates) {
+  if (!jobCheckpoint) return;
+  const now = Date.now();
+  for (const [key, value] of Object.entries(updates)) {
+    const pot = parseInt(key.replace('mosvet_', '')) - 2;
+    if (!key.startsWith('mosvet_') || pot < 1 || pot > 5) continue;
+
+    const since = jobCheckpoint.openSince[pot];
+    if (value && !since) {
+      jobCheckpoint.openSince[pot] = now;
+    } else if (!value && since) {
+      jobCheckpoint.delivered[pot] = (jobCheckpoint.delivered[pot] || 0) + (now - since) / 1000;
+      delete jobCheckpoint.openSince[pot];
+    }
+  }
+}
+
+function checkpointPotsDone(pots) {
+  if (jobCheckpoint) {
+    jobCheckpoint.selesai = [...new Set([...jobCheckpoint.selesai, ...pots])];
+  }
+}
+
+function checkpointVolume(pot, ml) {
+  if (jobCheckpoint) {
+    jobCheckpoint.volumeMl[pot] = Math.round(ml);
+  }
+}
+
+// ml measured for `pot` before the restart (volume mode)
+function resumedVolumeMl(pot) {
+  return resumeCheckpoint?.volume_ml?.[pot] || 0;
+}
+
+// Seconds of sequence step `step` done before the restart: Infinity = step already
+// completed, 0 = not started (or nothing to resume)
+function resumedStepSeconds(step) {
+  const saved = resumeCheckpoint?.langkah;
+  if (saved === null || saved === undefined) return 0;
+  if (step < saved) return Infinity;
+  return step === saved ? resumeCheckpoint.langkah_detik || 0 : 0;
+}
+
+// Mark sequence step `step` as started now (keeps time already done before a restart)
+function checkpointStep(step) {
+  if (!jobCheckpoint) return;
+  const done = resumedStepSeconds(step);
+  jobCheckpoint.langkah = step;
+  jobCheckpoint.langkahDetikAwal = Number.isFinite(done) ? done : 0;
+  jobCheckpoint.langkahMulai = Date.now();
+}
+
+function saveJobCheckpoint() {
+  if (!jobCheckpoint) return;
+  const now = Date.now();
+  const delivered = {};
+  const pots = new Set([...Object.keys(jobCheckpoint.delivered), ...Object.keys(jobCheckpoint.openSince)]);
+  pots.forEach(pot => {
+    const open = jobCheckpoint.openSince[pot] ? (now - jobCheckpoint.openSince[pot]) / 1000 : 0;
+    delivered[pot] = Math.round(((jobCheckpoint.delivered[pot] || 0) + open) * 10) / 10;
+  });
+  const langkahDetik = jobCheckpoint.langkahDetikAwal +
+    (jobCheckpoint.langkahMulai ? (now - jobCheckpoint.langkahMulai) / 1000 : 0);
+
+  const snapshot = {
+    mulai: jobCheckpoint.mulai,
+    percobaan: jobCheckpoint.percobaan,
+    delivered,
+    selesai: jobCheckpoint.selesai,
+    volume_ml: jobCheckpoint.volumeMl,
+    langkah: jobCheckpoint.langkah,
+    langkah_detik: Math.round(langkahDetik * 10) / 10,
+    diperbarui: now,
+  };
+  const key = checkpointKey(jobCheckpoint.jobId);
+  lastCheckpointSave = lastCheckpointSave
+    .then(() => redis.set(key, JSON.stringify(snapshot), 'PX', CHECKPOINT_TTL))
+    .catch(error => console.warn(`   ⚠️ Failed to save checkpoint: ${error.message}`));
+}
+
+// Job ended (completed, cancelled or failed): nothing to resume any more.
+// keep = interrupted by shutdown: save the final state for the run that resumes it
+async function finishJobCheckpoint(keep = false) {
+  if (keep) {
+    saveJobCheckpoint();
+  }
+  clearInterval(jobCheckpointIntervalId);
+  jobCheckpointIntervalId = null;
+  const jobId = jobCheckpoint?.jobId;
+  jobCheckpoint = null;
+  resumeCheckpoint = null;
+  await lastCheckpointSave; // Don't let a late save re-create the key
+  if (jobId && !keep) {
+    await redis.del(checkpointKey(jobId)).catch(() => {});
+  }
+}
+
+// Remaining work of a resumed fixed/smart/batch job: seconds left per pot
+// (duration minus what was delivered), pots done or fully watered dropped
+function buildResumePlan(potNumbers, duration, previous) {
+  const potDurations = {};
+  potNumbers
+    .filter(pot => !(previous.selesai || []).includes(pot))
+    .forEach(pot => {
+      const left = Math.round(duration - (previous.delivered?.[pot] || 0));
+      if (left > 0) {
+        potDurations[pot] = left;
+      }
+    });
+  return potDurations;
+}
+
+// ==================== WATERING WORKER ====================
+
+// Safety state: every output OFF
+const ALL_AKTUATOR_OFF = {
+  mosvet_1: false,
+  mosvet_2: false,
+  mosvet_3: false,
+  mosvet_4: false,
+  mosvet_5: false,
+  mosvet_6: false,
+  mosvet_7: false,
+  mosvet_8: false, // Pengaduk
+};
+
+// Pots (of `pots`) whose soil has reached `targetSoil`, or [] if the sensor read fails
+async function readPotsAtTarget(pots, targetSoil, elapsedLabel) {
+  try {
+    const currentSensorData = await readFirebaseSmart('data');
+    if (!currentSensorData) {
+      return [];
+    }
+    return pots.filter((pot) => {
+      const currentValue = parseInt(currentSensorData[`soil_${pot}`]) || 0;
+      const reached = currentValue >= targetSoil;
+      recordPotMoisture(pot, currentValue, targetSoil);
+      console.log(`   ${reached ? '✅' : '⏳'} [${elapsedLabel}] POT ${pot}: ${currentValue}% ${reached ? '>=' : '<'} ${targetSoil}%${reached ? ' - TARGET REACHED!' : ''}`);
+      return reached;
+    });
+  } catch (sensorError) {
+    console.warn(`   ⚠️ Failed to read sensor: ${sensorError.message}`);
+    return [];
+  }
+}
+
+// Pots (of `pots`) whose flow meter reached the volume target. On a failed sensor read
+// the meters keep their last value (the durasi cap still closes the valves).
+async function readPotsAtVolume(pots, meters, target, elapsedLabel) {
+  try {
+    const currentSensorData = await readFirebaseSmart('data');
+    if (!currentSensorData) {
+      return [];
+    }
+    return pots.filter((pot) => {
+      const meter = meters[pot];
+      updateFlowMeter(meter, currentSensorData);
+      checkpointVolume(pot, meter.ml);
+      recordPotVolume(pot, meter.ml, target[pot]);
+      const reached = meter.ml >= target[pot];
+      console.log(`   ${reached ? '✅' : '⏳'} [${elapsedLabel}] POT ${pot}: ${Math.round(meter.ml)} ml ${reached ? '>=' : '<'} ${target[pot]} ml${reached ? ' - VOLUME REACHED!' : ''}`);
+      return reached;
+    });
+  } catch (sensorError) {
+    console.warn(`   ⚠️ Failed to read flow sensor: ${sensorError.message}`);
+    return [];
+  }
+}
+
+// CYCLE & SOAK: run `siklus.ulang` pulses of `on_detik` with `off_detik` soak in between.
+// With targetSoil (smart mode) pots reaching batas_atas - during a pulse or while
+// soaking - are dropped from the remaining pulses. Returns the number of pulses run.
+// Pulses/soaks are checkpoint steps `scope * 1000 + n` (scope = batch number).
+async function runSiklusWatering(updates, potNumbers, siklus, targetSoil, watch, scope = 0) {
+  const pumpKeys = Object.keys(updates).filter(k => k === 'mosvet_1' || k === 'mosvet_2');
+  let activePots = [...potNumbers];
+  let pulsesRun = 0;
+
+  for (let pulse = 1; pulse <= siklus.ulang && activePots.length > 0; pulse++) {
+    const onStep = scope * 1000 + (pulse - 1) * 2;
+    const onSeconds = siklus.on_detik - resumedStepSeconds(onStep);
+    pulsesRun = pulse;
+
+    if (onSeconds > 0) {
+      const onUpdates = {};
+      pumpKeys.forEach(k => { onUpdates[k] = true; });
+      activePots.forEach(pot => { onUpdates[`mosvet_${pot + 2}`] = true; });
+
+      checkpointStep(onStep);
+      await setAktuator(onUpdates);
+      updateJobProgress({ fase: `pulse ${pulse}/${siklus.ulang}`, pot_berjalan: [...activePots] });
+      console.log(`   🔁 Pulse ${pulse}/${siklus.ulang} ON (${onSeconds}s): ${Object.keys(onUpdates).join(', ')}`);
+
+      const pulseEnd = Date.now() + onSeconds * 1000;
+      while (Date.now() < pulseEnd && activePots.length > 0) {
+        await waitWithCancel(Math.min(2000, pulseEnd - Date.now()), watch);
+
+        if (targetSoil) {
+          const potsToStop = await readPotsAtTarget(activePots, targetSoil, `pulse ${pulse}`);
+          if (potsToStop.length > 0) {
+            const stopUpdates = {};
+            potsToStop.forEach(pot => { stopUpdates[`mosvet_${pot + 2}`] = false; });
+            await setAktuator(stopUpdates);
+            console.log(`   🔴 STOPPED TOGETHER: ${Object.keys(stopUpdates).join(', ')} (Pots: [${potsToStop.join(', ')}])`);
+            activePots = activePots.filter(p => !potsToStop.includes(p));
+            markPotsStopped(potsToStop);
+            updateJobProgress({ pot_berjalan: [...activePots] });
+          }
+        }
+      }
+
+      // End of pulse: valves + pumps OFF
+      const offUpdates = {};
+      pumpKeys.forEach(k => { offUpdates[k] = false; });
+      activePots.forEach(pot => { offUpdates[`mosvet_${pot + 2}`] = false; });
+      await setAktuator(offUpdates);
+      console.log(`   🔴 Pulse ${pulse}/${siklus.ulang} OFF: ${Object.keys(offUpdates).join(', ')}`);
+    } else {
+      console.log(`   ⏭️ Pulse ${pulse}/${siklus.ulang} already done before restart`);
+    }
+
+    const soakSeconds = siklus.off_detik - resumedStepSeconds(onStep + 1);
+    if (pulse === siklus.ulang || activePots.length === 0 || soakSeconds <= 0) {
+      continue;
+    }
+
+    // Soak phase: water spreads through the pot, smart mode keeps checking batas_atas
+    checkpointStep(onStep + 1);
+    console.log(`   💤 Soaking ${soakSeconds}s...`);
+    updateJobProgress({ fase: `soak ${pulse}/${siklus.ulang - 1}`, pot_berjalan: [] });
+    const soakEnd = Date.now() + soakSeconds * 1000;
+    while (Date.now() < soakEnd && activePots.length > 0) {
+      await waitWithCancel(Math.min(targetSoil ? 2000 : 10000, soakEnd - Date.now()), watch);
+
+      if (targetSoil) {
+        const potsDone = await readPotsAtTarget(activePots, targetSoil, `soak ${pulse}`);
+        activePots = activePots.filter(p => !potsDone.includes(p));
+        markPotsStopped(potsDone);
+      }
+    }
+  }
+
+  if (activePots.length === 0) {
+    console.log(`   🎉 All pots reached target after ${pulsesRun} pulse(s).`);
+  }
+  return pulsesRun;
+}
+
+// ROUTINE: run the rutin_N steps in order. Outputs shared by consecutive steps stay ON;
+// the next step's outputs switch in the same update that turns the previous ones OFF.
+async function runRutin(rutin, watch) {
+  let current = [];
+
+  for (let i = 0; i < rutin.langkah.length; i++) {
+    const step = rutin.langkah[i];
+    const seconds = step.detik - resumedStepSeconds(i);
+    if (seconds <= 0) {
+      console.log(`   ⏭️ Langkah ${i + 1}/${rutin.langkah.length} already done before restart`);
+      continue;
+    }
+    const stepUpdates = {};
+    current.filter(k => !step.outputs.includes(k)).forEach(k => { stepUpdates[k] = false; });
+    step.outputs.forEach(k => { stepUpdates[k] = true; });
+
+    checkpointStep(i);
+    await setAktuator(stepUpdates);
+    console.log(`   📜 Langkah ${i + 1}/${rutin.langkah.length} (${seconds}s): ${step.outputs.join(', ')}`);
+    updateJobProgress({ fase: `langkah ${i + 1}/${rutin.langkah.length}`, pot_berjalan: step.pots });
+    current = step.outputs;
+    await waitWithCancel(seconds * 1000, watch);
+  }
+
+  const offUpdates = {};
+  current.forEach(k => { offUpdates[k] = false; });
+  await setAktuator(offUpdates);
+  console.log('   🔴 Turning OFF:', Object.keys(offUpdates).join(', '));
+}
+
+// FERTIGATION: pre-mix with the pengaduk, dose fertiliser, then flush the lines with
+// plain water - per valve batch. Returns per-pot { mulai, selesai } timestamps.
+// Checkpoint steps: 0 = premix, batch N → N * 1000 (dose) and N * 1000 + 1 (flush).
+async function runFertigation(batches, fertigasi, pompaAir, watch) {
+  const potTimes = {};
+
+  const premixSeconds = fertigasi.premix_detik - resumedStepSeconds(0);
+  if (premixSeconds > 0) {
+    checkpointStep(0);
+    await setAktuator({ mosvet_8: true });
+    console.log(`   🌀 Pre-mix: pengaduk (mosvet_8) ON for ${premixSeconds}s`);
+    updateJobProgress({ fase: 'premix', pot_berjalan: [] });
+    await waitWithCancel(premixSeconds * 1000, watch);
+  }
+
+  const lastBatch = batches.reduce((last, batch, i) => (batch.length > 0 ? i : last), -1);
+  for (let i = 0; i < batches.length; i++) {
+    const batch = batches[i];
+    if (batch.length === 0) continue; // Finished before a restart
+    const label = batches.length > 1 ? ` [Batch ${i + 1}/${batches.length}]` : '';
+    const valves = {};
+    batch.forEach(pot => { valves[`mosvet_${pot + 2}`] = true; });
+    batch.forEach(pot => { potTimes[pot] = { mulai: Date.now() }; });
+
+    // Dose: fertiliser pump (+ water pump when pompa_air), mixer keeps stirring
+    const doseStep = (i + 1) * 1000;
+    const doseSeconds = fertigasi.pupuk_detik - resumedStepSeconds(doseStep);
+    if (doseSeconds > 0) {
+      checkpointStep(doseStep);
+      await setAktuator({ ...valves, mosvet_2: true, mosvet_1: pompaAir === true, mosvet_8: true });
+      console.log(`   🌿${label} Dosing pupuk ${doseSeconds}s: mosvet_2${pompaAir ? ', mosvet_1' : ''}, ${Object.keys(valves).join(', ')}`);
+      updateJobProgress({ fase: `pupuk${label}`, pot_berjalan: batch });
+      await waitWithCancel(doseSeconds * 1000, watch);
+    } else {
+      console.log(`   ⏭️${label} Pupuk already dosed before restart`);
+    }
+
+    // Flush: plain water only (mixer stops after the last dose)
+    const isLast = i === lastBatch;
+    const flushSeconds = fertigasi.flush_detik - resumedStepSeconds(doseStep + 1);
+    if (flushSeconds > 0) {
+      checkpointStep(doseStep + 1);
+      await setAktuator({ ...valves, mosvet_2: false, mosvet_1: true, ...(isLast && { mosvet_8: false }) });
+      console.log(`   🚿${label} Flushing ${flushSeconds}s with air bersih (mosvet_1)`);
+      updateJobProgress({ fase: `flush${label}`, pot_berjalan: batch });
+      await waitWithCancel(flushSeconds * 1000, watch);
+    }
+
+    const offUpdates = { mosvet_1: false, mosvet_2: false, ...(isLast && { mosvet_8: false }) };
+    Object.keys(valves).forEach(k => { offUpdates[k] = false; });
+    await setAktuator(offUpdates);
+    const end = Date.now();
+    batch.forEach(pot => { potTimes[pot].selesai = end; });
+    markPotsStopped(batch);
+    console.log(`   🔴${label} Turning OFF: ${Object.keys(offUpdates).join(', ')}`);
+  }
+
+  return potTimes;
+}
+
+// SEQUENTIAL ZONES: water `batches` of pots one after another so a weak pump keeps
+// pressure. The pump stays ON between batches; the next batch's valves open in the
+// same update that closes the previous ones. When every valve of a batch closes early
+// (smart/volume stop) the pump goes OFF with the last one and back ON with the next
+// batch, so it never runs against closed valves.
+// `potDurations` (resumed job) gives each pot its own remaining seconds; with `volume`
+// pots close once their flow sensor measured the target (duration stays the cap).
+// Returns per-pot { mulai, selesai } timestamps for history.
+async function runBatchedWatering(updates, batches, duration, siklus, targetSoil, watch, potDurations = null, volume = null) {
+  const pumpUpdates = {};
+  Object.keys(updates)
+    .filter(k => k === 'mosvet_1' || k === 'mosvet_2')
+    .forEach(k => { pumpUpdates[k] = true; });
+  const potTimes = {};
+  let openValves = [];
+
+  // Close some of the open valves early (time up, soil target or volume reached)
+  const closeValves = async (pots, reason) => {
+    const stopUpdates = {};
+    pots.forEach(pot => { stopUpdates[`mosvet_${pot + 2}`] = false; });
+    if (openValves.every(pot => pots.includes(pot))) {
+      Object.keys(pumpUpdates).forEach(k => { stopUpdates[k] = false; });
+    }
+    await setAktuator(stopUpdates);
+    const stoppedAt = Date.now();
+    pots.forEach(pot => { potTimes[pot].selesai = stoppedAt; });
+    console.log(`   🔴 ${reason}: ${Object.keys(stopUpdates).join(', ')} (Pots: [${pots.join(', ')}])`);
+    openValves = openValves.filter(p => !pots.includes(p));
+    markPotsStopped(pots);
+    updateJobProgress({ pot_berjalan: [...openValves] });
+  };
+
+  for (let i = 0; i < batches.length; i++) {
+    const batch = batches[i];
+    if (batch.length === 0) continue; // Finished before a restart
+    const label = `Batch ${i + 1}/${batches.length}`;
+    const start = Date.now();
+    batch.forEach(pot => { potTimes[pot] = { mulai: start }; });
+
+    if (siklus) {
+      // Cycle & soak per batch (pumps follow the pulses)
+      await runSiklusWatering({ ...pumpUpdates }, batch, siklus, targetSoil, watch, i + 1);
+      const end = Date.now();
+      batch.forEach(pot => { potTimes[pot].selesai = end; });
+      markPotsStopped(batch);
+      console.log(`   ✅ ${label} done: [${batch.join(', ')}]`);
+      continue;
+    }
+
+    // Volume mode: flow counters read right before the valves open
+    const meters = {};
+    const volumePots = volume ? batch.filter(pot => volume.target[pot]) : [];
+    if (volumePots.length > 0) {
+      let sensorData = null;
+      try {
+        sensorData = await readFirebaseSmart('data');
+      } catch (sensorError) {
+        console.warn(`   ⚠️ Failed to read flow sensor: ${sensorError.message} - counting from the next read`);
+      }
+      volumePots.forEach(pot => { meters[pot] = createFlowMeter(volume.flow[pot], sensorData, resumedVolumeMl(pot)); });
+    }
+
+    const switchUpdates = { ...(openValves.length === 0 ? pumpUpdates : {}) };
+    openValves.forEach(pot => { switchUpdates[`mosvet_${pot + 2}`] = false; });
+    batch.forEach(pot => { switchUpdates[`mosvet_${pot + 2}`] = true; });
+    await setAktuator(switchUpdates);
+    openValves.forEach(pot => { potTimes[pot].selesai = start; });
+    markPotsStopped(openValves);
+    openValves = [...batch];
+    updateJobProgress({ fase: label.toLowerCase(), pot_berjalan: [...batch] });
+    const potEnd = {};
+    batch.forEach(pot => { potEnd[pot] = start + (potDurations?.[pot] ?? duration) * 1000; });
+    const batchEnd = Math.max(...batch.map(pot => potEnd[pot]));
+    const volumeInfo = volumePots.length > 0 ? `, volume ${volumePots.map(pot => `pot ${pot} ${volume.target[pot]} ml`).join(', ')}` : '';
+    console.log(`   🚿 ${label} ON: [${batch.join(', ')}] (${Math.round((batchEnd - start) / 1000)}s ${targetSoil || volumeInfo ? 'max' : ''}${volumeInfo})`);
+
+    while (Date.now() < batchEnd && openValves.length > 0) {
+      await waitWithCancel(Math.min(2000, batchEnd - Date.now()), watch);
+
+      // Resumed job: pots with less time left close on their own
+      const potsTimeUp = openValves.filter(pot => Date.now() >= potEnd[pot]);
+      if (potsTimeUp.length > 0 && Date.now() < batchEnd) {
+        await closeValves(potsTimeUp, 'Time up');
+      }
+
+      const meteredPots = openValves.filter(pot => meters[pot]);
+      if (meteredPots.length > 0) {
+        const potsFull = await readPotsAtVolume(meteredPots, meters, volume.target, label);
+        if (potsFull.length > 0) {
+          await closeValves(potsFull, 'VOLUME REACHED');
+        }
+      }
+
+      if (targetSoil && openValves.length > 0) {
+        const potsToStop = await readPotsAtTarget(openValves, targetSoil, label);
+        if (potsToStop.length > 0) {
+          await closeValves(potsToStop, 'STOPPED TOGETHER');
+        }
+      }
+    }
+
+    const capped = openValves.filter(pot => meters[pot]);
+    if (capped.length > 0) {
+      console.log(`   ⏱️ Max ${duration}s reached before volume: [${capped.map(pot => `pot ${pot} ${Math.round(meters[pot].ml)}/${volume.target[pot]} ml`).join(', ')}]`);
+    }
+  }
+
+  // Last batch's valves + pumps OFF together
+  const offUpdates = {};
+  Object.keys(pumpUpdates).forEach(k => { offUpdates[k] = false; });
+  openValves.forEach(pot => { offUpdates[`mosvet_${pot + 2}`] = false; });
+  if (Object.keys(offUpdates).length > 0) {
+    await setAktuator(offUpdates);
+    console.log('   🔴 Turning OFF:', Object.keys(offUpdates).join(', '));
+  }
+  const end = Date.now();
+  openValves.forEach(pot => { potTimes[pot].selesai = end; });
+
+  return potTimes;
+}
+
+const wateringWorker = new Worker(
+  'watering',
+  async (job, token) => {
+    // Schedule jobs can be merge targets: read their data only once no merge can touch it
+    if (job.data?.type?.startsWith('waktu_')) {
+      job.data = await claimJobStart(job);
+    }
+    const { type, potNumbers, pompaAir, pompaPupuk, duration, budgetPersen, siklus, maxValveBersamaan, fertigasi, rutin, volume, scheduleId, thresholdId, smartMode, sensorData } = job.data;
+
+    // STOP job queued by an older worker version (stop now runs in the /perintah handler)
+    if (type === 'stop') {
+      console.log(`\n🛑 Processing STOP: ${job.id}`);
+      await setAktuator(ALL_AKTUATOR_OFF);
+      console.log('   🛡️ All aktuators turned OFF');
+      return { success: true, stopped: true };
+    }
+
+    const jobStartedAt = Date.now();
+    const watch = createCancelWatch(job);
+
+    // Re-run of a job interrupted by a crash: continue from its checkpoint.
+    // Pots already done drop out of their batch (batch numbering stays the same).
+    const checkpoint = await loadJobCheckpoint(job.id);
+    const donePots = checkpoint?.selesai || [];
+    const potDurations = checkpoint && !rutin && !siklus && !fertigasi
+      ? buildResumePlan(potNumbers, duration, checkpoint)
+      : null;
+    const batches = splitValveBatches(potNumbers, maxValveBersamaan)
+      .map(batch => batch.filter(pot => (potDurations ? pot in potDurations : !donePots.includes(pot))));
+    // Volume mode only for plain/batched watering (sequences have fixed timings)
+    const volumeMode = volume && !rutin && !siklus && !fertigasi ? volume : null;
+    const resumeInfo = checkpoint && {
+      percobaan: checkpoint.percobaan + 1,
+      pot_selesai: donePots,
+      detik_terkirim: checkpoint.delivered,
+    };
+
+    console.log(`\n💧 Processing Job: ${job.id}`);
+    console.log(`   Type: ${type}`);
+    console.log(`   Pots: [${potNumbers.join(', ')}]`);
+    console.log(`   Mode: ${smartMode ? 'SMART (auto-stop at target)' : 'FIXED'}`);
+    console.log(`   Duration: ${duration}s ${smartMode ? '(max)' : ''}`);
+    if (budgetPersen !== undefined && budgetPersen !== 100) {
+      console.log(`   Budget: ${budgetPersen}% (base ${job.data.baseDuration}s)`);
+    }
+    if (sensorData) {
+      console.log(`   Target: ${sensorData.batasBawah}% → ${sensorData.batasAtas}%`);
+    }
+    if (siklus) {
+      console.log(`   Siklus: ${siklus.ulang}× (${siklus.on_detik}s ON / ${siklus.off_detik}s soak)`);
+    }
+    if (rutin) {
+      console.log(`   Rutin: ${rutin.key} (${rutin.nama}) - ${rutin.langkah.length} langkah`);
+    }
+    if (fertigasi) {
+      console.log(`   Fertigasi: premix ${fertigasi.premix_detik}s → pupuk ${fertigasi.pupuk_detik}s → flush ${fertigasi.flush_detik}s`);
+    }
+    if (volume) {
+      console.log(`   Volume: ${Object.entries(volume.target).map(([pot, ml]) => `pot ${pot} ${ml} ml`).join(', ')} (max ${duration}s per pot)${volumeMode ? '' : ' - tidak dipakai (siklus/fertigasi/rutin)'}`);
+    }
+    if (batches.length > 1) {
+      console.log(`   Batches: ${batches.map(b => `[${b.join(', ')}]`).join(' → ')} (max ${maxValveBersamaan} valve bersamaan)`);
+    }
+    if (checkpoint) {
+      console.log(`   ♻️ RESUMING after restart (percobaan ${resumeInfo.percobaan}): done [${donePots.join(', ')}], delivered ${JSON.stringify(checkpoint.delivered)}`);
+      if (potDurations) {
+        console.log(`   ♻️ Remaining per pot: ${JSON.stringify(potDurations)}`);
+      }
+    }
+
+    const progressMode = rutin ? 'rutin' : fertigasi ? 'fertigasi' : siklus ? 'siklus' : batches.length > 1 ? 'batch' : volumeMode ? 'volume' : smartMode ? 'smart' : 'fixed';
+    const plannedSeconds = rutin ? duration : getJobWallSeconds(duration, siklus, batches.length, fertigasi);
+    startJobProgress(job, progressMode, plannedSeconds);
+    startJobCheckpoint(job, checkpoint);
+    let keepCheckpoint = false; // Interrupted by shutdown: the next run resumes from it
+
     try {
-      const data = await fetchKontrolViaREST();
-      restFallbackCount++;
-      
-      // Log peringatan jika SDK terus gagal
-      if (consecutiveFirebaseErrors === SKIP_SDK_THRESHOLD) {
-        console.warn(`   🚨 SDK failed ${SKIP_SDK_THRESHOLD}x consecutively! Will use REST API directly for next ${RESET_THRESHOLD_AFTER} checks.`);
+      // Emergency stop / cancel requested while the job was still waiting
+      await watch.check(true);
+
+      let pulsesRun = null;
+      let potTimes = null;
+      // Prepare aktuator updates
+      const updates = {};
+      if (pompaAir) updates['mosvet_1'] = true;
+      if (pompaPupuk) updates['mosvet_2'] = true;
+
+      // Turn ON valves for selected pots
+      for (const pot of potNumbers) {
+        if (pot >= 1 && pot <= 5) {
+          updates[`mosvet_${pot + 2}`] = true; // pot 1 → mosvet_3, etc.
+        }
+      }
+
+      // Turn ON (routines, fertigation, cycle & soak and sequential batches switch outputs themselves)
+      if (!rutin && !siklus && !fertigasi && batches.length === 1 && !potDurations && !volumeMode) {
+        console.log('   🔛 Turning ON:', Object.keys(updates).join(', '));
+        console.log('   📌 Firebase path: aktuator');
+        console.log('   📝 Updates:', JSON.stringify(updates, null, 2));
+        
+        await setAktuator(updates);
+        console.log(`   🚀 ALL VALVES STARTED SIMULTANEOUSLY: ${Object.keys(updates).filter(k => k.startsWith('mosvet_')).join(', ')}`);
+        updateJobProgress({ fase: 'menyiram' });
       }
       
-      return data;
-    } catch (restError) {
-      console.error('   ❌ REST API also failed:', restError.message);
-      throw new Error('Both SDK and REST API failed');
+      if (rutin) {
+        // ROUTINE: user-defined actuator steps (rutin_N)
+        await runRutin(rutin, watch);
+        console.log('   ✅ Rutin completed, now logging history...');
+        
+      } else if (fertigasi) {
+        // FERTIGATION: pre-mix → dose → flush (fixed timings, per batch)
+        potTimes = await runFertigation(batches, fertigasi, pompaAir, watch);
+        console.log('   ✅ Fertigation completed, now logging history...');
+        
+      } else if (batches.length > 1 || potDurations || volumeMode) {
+        // SEQUENTIAL ZONES: max_valve_bersamaan valves at a time, pump stays ON
+        // (also resumed fixed/smart jobs: every pot gets its own remaining time,
+        // and volume mode: every pot closes when its flow sensor reached volume_ml)
+        const targetSoil = smartMode && sensorData && sensorData.batasAtas ? sensorData.batasAtas : null;
+        potTimes = await runBatchedWatering(updates, batches, duration, siklus, targetSoil, watch, potDurations, volumeMode);
+        console.log('   ✅ Sequential batches completed, now logging history...');
+        
+      } else if (siklus) {
+        // CYCLE & SOAK MODE: pulses with soak pauses (smart mode checks batas_atas throughout)
+        const targetSoil = smartMode && sensorData && sensorData.batasAtas ? sensorData.batasAtas : null;
+        pulsesRun = await runSiklusWatering(updates, batches[0], siklus, targetSoil, watch);
+        console.log('   ✅ Cycle & soak completed, now logging history...');
+        
+      } else if (smartMode && sensorData && sensorData.batasAtas) {
+        // SMART MODE: Monitor sensor and stop pots TOGETHER when they reach target
+        const targetSoil = sensorData.batasAtas;
+        const maxDuration = duration * 1000; // Convert to ms
+        const startTime = Date.now();
+        
+        // Track which pots are still actively watering
+        let activePots = [...potNumbers];
+        
+        console.log(`   🎯 SMART MODE: Monitoring ${activePots.length} pots, target ${targetSoil}%...`);
+        console.log(`   ⚡ Valves will stop TOGETHER when pots reach target (checked every 2s)`);
+        
+        while (activePots.length > 0 && Date.now() - startTime < maxDuration) {
+          await waitWithCancel(2000, watch); // Check every 2 seconds
+          
+          try {
+            const currentSensorData = await readFirebaseSmart('data');
+            
+            if (currentSensorData) {
+              const elapsed = Math.floor((Date.now() - startTime) / 1000);
+              const potsToStop = [];
+              
+              // Check ALL active pots and collect which ones reached target
+              for (const pot of activePots) {
+                const soilKey = `soil_${pot}`;
+                const currentValue = parseInt(currentSensorData[soilKey]) || 0;
+                recordPotMoisture(pot, currentValue, targetSoil);
+                
+                if (currentValue >= targetSoil) {
+                  console.log(`   ✅ [${elapsed}s] POT ${pot}: ${currentValue}% >= ${targetSoil}% - TARGET REACHED!`);
+                  potsToStop.push(pot);
+                } else {
+                  console.log(`   ⏳ [${elapsed}s] POT ${pot}: ${currentValue}% < ${targetSoil}% - continuing...`);
+                }
+              }
+              
+              // Stop ALL pots that reached target TOGETHER (not one-by-one!)
+              if (potsToStop.length > 0) {
+                const stopUpdates = {};
+                for (const pot of potsToStop) {
+                  stopUpdates[`mosvet_${pot + 2}`] = false;
+                }
+                
+                await setAktuator(stopUpdates);
+                console.log(`   🔴 STOPPED TOGETHER: ${Object.keys(stopUpdates).join(', ')} (Pots: [${potsToStop.join(', ')}])`);
+                
+                // Remove stopped pots from active list
+                activePots = activePots.filter(p => !potsToStop.includes(p));
+                markPotsStopped(potsToStop);
+              }
+              
+              if (activePots.length === 0) {
+                console.log(`   🎉 All pots reached target! Smart watering complete.`);
+              } else {
+                console.log(`   📍 Still watering: [${activePots.join(', ')}]`);
+              }
+            }
+          } catch (sensorError) {
+            if (sensorError.aktuatorUnconfirmed) {
+              throw sensorError; // Valve didn't switch: abort into the safety path
+            }
+            console.warn(`   ⚠️ Failed to read sensor: ${sensorError.message}`);
+          }
+        }
+        
+        // If any pots still active after max duration (timeout), stop them now TOGETHER
+        if (activePots.length > 0) {
+          console.log(`   ⏱️ Max duration ${duration}s reached. Force stopping remaining pots: [${activePots.join(', ')}]`);
+          const timeoutStops = {};
+          for (const pot of activePots) {
+            timeoutStops[`mosvet_${pot + 2}`] = false;
+          }
+          await setAktuator(timeoutStops);
+          console.log(`   🔴 Force stopped TOGETHER: ${Object.keys(timeoutStops).join(', ')}`);
+        }
+        
+        // Finally, stop pumps
+        const pumpStop = {};
+        if (pompaAir) pumpStop['mosvet_1'] = false;
+        if (pompaPupuk) pumpStop['mosvet_2'] = false;
+        if (Object.keys(pumpStop).length > 0) {
+          await setAktuator(pumpStop);
+          console.log('   🔴 Pumps stopped:', Object.keys(pumpStop).join(', '));
+        }
+        console.log('   ✅ Smart mode completed, now logging history...');
+        
+      } else {
+        // FIXED MODE: Wait for fixed duration
+        const startTime = Date.now();
+        const endTime = startTime + duration * 1000;
+
+        while (Date.now() < endTime) {
+          const remaining = Math.ceil((endTime - Date.now()) / 1000);
+          if (remaining % 10 === 0 || remaining <= 5) {
+            console.log(`   ⏳ ${remaining}s remaining...`);
+          }
+          await waitWithCancel(1000, watch);
+        }
+        
+        // Turn OFF all at once (FIXED mode only)
+        const offUpdates = {};
+        for (const key in updates) {
+          offUpdates[key] = false;
+        }
+        console.log('   🔴 Turning OFF:', Object.keys(offUpdates).join(', '));
+        await setAktuator(offUpdates);
+        console.log('   ✅ Turn OFF completed, now logging history...');
+      }
+
+      // Log history
+      await logHistory(type, potNumbers, duration, {
+        ...(budgetPersen !== undefined && { budget_persen: budgetPersen }),
+        ...(siklus && pulsesRun !== null && { siklus: { ...siklus, dijalankan: pulsesRun } }),
+        ...(siklus && pulsesRun === null && { siklus }),
+        ...(fertigasi && !rutin && { fertigasi }),
+        ...(rutin && { rutin: rutin.key, langkah: rutin.langkah.length }),
+        ...(potTimes && batches.length > 1 && { batch: batches, pot_waktu: potTimes }),
+        ...(volumeMode && { volume: summarizeVolume(volumeMode, jobCheckpoint?.volumeMl || {}) }),
+        ...(job.data.digabung && { digabung: job.data.digabung }),
+        ...(resumeInfo && { dilanjutkan: resumeInfo }),
+      });
+      console.log('   ✅ History logged successfully');
+
+      // Update last watering time PER-THRESHOLD (not per-pot!)
+      if (thresholdId) {
+        await startThresholdCooldown(thresholdId, job.id);
+      }
+
+      console.log(`   ✅ Job completed successfully`);
+      return { success: true, duration, pots: potNumbers };
+    } catch (error) {
+      // Turn OFF this job's valves and pumps right away (cancel / shutdown interrupt)
+      const turnOffJobOutputs = async () => {
+        const offUpdates = {};
+        getJobOutputs(job.data).forEach(k => { offUpdates[k] = false; });
+        try {
+          await setAktuator(offUpdates);
+          console.log('   🔴 Turning OFF:', Object.keys(offUpdates).join(', '));
+        } catch (offError) {
+          console.error('   ⚠️ Cancel OFF failed, trying all OFF:', offError.message);
+          await writeAktuator(ALL_AKTUATOR_OFF).catch(() => {});
+        }
+      };
+
+      // Shutdown: back to the queue, the next run resumes from the checkpoint
+      if (error.interrupted) {
+        const elapsed = Math.round((Date.now() - jobStartedAt) / 1000);
+        console.log(`   ⏸️ Job interrupted after ${elapsed}s: ${error.reason} - will resume from checkpoint`);
+        await turnOffJobOutputs();
+
+        if (claimCancelHistory(job.id)) {
+          await logHistory(type, potNumbers, elapsed, {
+            terputus: true,
+            alasan: error.reason,
+            durasi_rencana: duration,
+            ...(budgetPersen !== undefined && { budget_persen: budgetPersen }),
+            ...(rutin && { rutin: rutin.key }),
+            ...(job.data.digabung && { digabung: job.data.digabung }),
+            ...(resumeInfo && { dilanjutkan: resumeInfo }),
+          });
+        }
+        keepCheckpoint = true;
+        await job.moveToDelayed(Date.now(), token);
+        throw new DelayedError();
+      }
+
+      if (error.cancelled) {
+        const elapsed = Math.round((Date.now() - jobStartedAt) / 1000);
+        console.log(`   🛑 Job cancelled after ${elapsed}s: ${error.reason}`);
+        await turnOffJobOutputs();
+
+        if (claimCancelHistory(job.id)) {
+          await logHistory(type, potNumbers, elapsed, {
+            dibatalkan: true,
+            alasan: error.reason,
+            durasi_rencana: duration,
+            ...(budgetPersen !== undefined && { budget_persen: budgetPersen }),
+            ...(rutin && { rutin: rutin.key }),
+            ...(volumeMode && { volume: summarizeVolume(volumeMode, jobCheckpoint?.volumeMl || {}) }),
+            ...(job.data.digabung && { digabung: job.data.digabung }),
+            ...(resumeInfo && { dilanjutkan: resumeInfo }),
+          });
+        }
+        await releaseTrigger(cancelKey(job.id));
+
+        if (thresholdId) {
+          await startThresholdCooldown(thresholdId, job.id);
+        }
+        return { success: false, cancelled: true, reason: error.reason, elapsed, pots: potNumbers };
+      }
+
+      console.error(`   ❌ Job failed:`, error.message);
+
+      // Safety: Turn OFF everything
+      try {
+        await writeAktuator(ALL_AKTUATOR_OFF);
+        console.log('   🛡️ Safety: All aktuators turned OFF');
+        await verifySafetyOff();
+      } catch (safetyError) {
+        console.error('   ⚠️ Safety OFF failed:', safetyError.message);
+      }
+
+      // Don't re-trigger a failing threshold immediately
+      if (thresholdId) {
+        await startThresholdCooldown(thresholdId, job.id);
+      }
+
+      throw error;
+    } finally {
+      cancelHistoryLogged.delete(job.id);
+      await finishJobCheckpoint(keepCheckpoint);
+      await finishJobProgress();
+    }
+  },
+  {
+    connection: redis,
+    concurrency: config.worker.concurrency,
+    // Lock is renewed while the job runs; if this container dies the job counts as
+    // stalled within ~1.5 min and is re-run (resuming from its checkpoint)
+    lockDuration: 60000,
+    removeOnComplete: { count: 100 }, // Keep last 100 completed jobs
+    removeOnFail: { count: 50 }, // Keep last 50 failed jobs
+  }
+);
+
+wateringWorker.on('active', (job) => {
+  if (job.data?.perintahId) {
+    updatePerintahStatus(job.data.perintahId, { status: 'berjalan', mulai_pada: Date.now() });
+  }
+});
+
+wateringWorker.on('completed', (job, result) => {
+  console.log(`✅ Worker completed job ${job.id}`);
+  if (job.data?.perintahId) {
+    updatePerintahStatus(job.data.perintahId, {
+      status: result?.cancelled ? 'dibatalkan' : 'selesai',
+      selesai_pada: Date.now(),
+      hasil: result || null,
+    });
+  }
+});
+
+wateringWorker.on('failed', (job, err) => {
+  console.error(`❌ Worker failed job ${job?.id}:`, err.message);
+  if (job?.data?.perintahId) {
+    updatePerintahStatus(job.data.perintahId, { status: 'gagal', selesai_pada: Date.now(), error: err.message });
+  }
+});
+
+// ==================== WAKTU MODE (TIME SCHEDULER) ====================
+
+// Counter untuk tracking berapa kali check dilakukan
+let checkCounter = 0;
+let consecutiveFirebaseErrors = 0;
+let sdkSuccessCount = 0;
+let restFallbackCount = 0;
+
+// Smart fallback: Skip SDK jika sudah gagal berturut-turut 3x
+const SKIP_SDK_THRESHOLD = 3;
+const RESET_THRESHOLD_AFTER = 50; // Reset counter setelah 50 check (50 menit)
+
+// Helper function untuk Firebase fetch dengan timeout
+async function fetchWithTimeout(ref, timeoutMs = 5000) {
+  return Promise.race([
+    ref.once('value'),
+    new Promise((_, reject) => 
+      setTimeout(() => reject(new Error('Firebase fetch timeout')), timeoutMs)
+    )
+  ]);
+}
+
+// Helper: Fetch with timeout wrapper (for REST API calls)
+async function fetchWithTimeout2(url, options = {}, timeoutMs = 8000) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  
+  try {
+    const response = await fetch(url, {
+      ...options,
+      signal: controller.signal
+    });
+    clearTimeout(timeout);
+    return response;
+  } catch (error) {
+    clearTimeout(timeout);
+    if (error.name === 'AbortError') {
+      throw new Error('REST API timeout');
+    }
+    throw error;
+  }
+}
+
+// Fallback: Fetch via Firebase REST API (lebih reliable)
+async function fetchKontrolViaREST() {
+  const url = `${config.firebase.databaseURL}/${FIREBASE_PATHS.kontrol}.json`;
+  console.log(`   [DEBUG] Trying REST API: ${url}`);
+  
+  const response = await fetchWithTimeout2(url, {
+    method: 'GET',
+    headers: { 'Content-Type': 'application/json' }
+  }, 8000);
+  
+  if (!response.ok) {
+    throw new Error(`REST API failed: ${response.status} ${response.statusText}`);
+  }
+  
+  const data = await response.json();
+  console.log('   [DEBUG] REST API successful!');
+  return data;
+}
+
+// Smart fetch: Try SDK first, fallback to REST if needed
+async function fetchKontrolSmart() {
+  // Smart fallback: Skip SDK if it failed 3+ times consecutively
+  const shouldSkipSDK = consecutiveFirebaseErrors >= SKIP_SDK_THRESHOLD;
+  
+  if (shouldSkipSDK) {
+    console.log('   [SMART] Skipping SDK (3+ consecutive failures), using REST API directly...');
+    try {
+      const data = await fetchKontrolViaREST();
+      restFallbackCount++;
+      
+      // Reset counter setelah threshold untuk retry SDK
+      if (restFallbackCount >= RESET_THRESHOLD_AFTER) {
+        console.log('   [SMART] Resetting SDK retry counter...');
+        consecutiveFirebaseErrors = 0;
+        restFallbackCount = 0;
+      }
+      
+      return data;
+    } catch (restError) {
+      console.error('   ❌ REST API failed:', restError.message);
+      throw new Error('REST API failed');
+    }
+  }
+  
+  // Normal flow: Try SDK first
+  try {
+    console.log('   [DEBUG] Attempting SDK fetch...');
+    const snapshot = await fetchWithTimeout(db.ref(FIREBASE_PATHS.kontrol), 5000);
+    consecutiveFirebaseErrors = 0; // Reset error counter
+    restFallbackCount = 0; // Reset fallback counter
+    sdkSuccessCount++;
+    return snapshot.val();
+  } catch (sdkError) {
+    console.warn('   ⚠️  SDK fetch failed, trying REST API...');
+    consecutiveFirebaseErrors++;
+    
+    try {
+      const data = await fetchKontrolViaREST();
+      restFallbackCount++;
+      
+      // Log peringatan jika SDK terus gagal
+      if (consecutiveFirebaseErrors === SKIP_SDK_THRESHOLD) {
+        console.warn(`   🚨 SDK failed ${SKIP_SDK_THRESHOLD}x consecutively! Will use REST API directly for next ${RESET_THRESHOLD_AFTER} checks.`);
+      }
+      
+      return data;
+    } catch (restError) {
+      console.error('   ❌ REST API also failed:', restError.message);
+      throw new Error('Both SDK and REST API failed');
+    }
+  }
+}
+
+// Helper: Update Firebase via REST API (PATCH for merge update)
+async function updateFirebaseViaREST(path, updates) {
+  const url = `${config.firebase.databaseURL}/${path}.json`;
+  console.log(`   [DEBUG] REST API PATCH: ${url}`);
+  
+  const response = await fetchWithTimeout2(url, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(updates)
+  }, 8000);
+  
+  if (!response.ok) {
+    throw new Error(`REST PATCH failed: ${response.status}`);
+  }
+  
+  const result = await response.json();
+  console.log('   [DEBUG] REST API update successful!');
+  return result;
+}
+
+// Helper: Update with timeout wrapper
+async function updateWithTimeout(ref, updates, timeoutMs = 5000) {
+  return Promise.race([
+    ref.update(updates),
+    new Promise((_, reject) => 
+      setTimeout(() => reject(new Error('Firebase update timeout')), timeoutMs)
+    )
+  ]);
+}
+
+// Smart update: Try SDK first, fallback to REST if timeout
+async function updateFirebaseSmart(path, updates) {
+  const updateStr = JSON.stringify(updates);
+  console.log(`   [UPDATE START] Path: ${path}, Data: ${updateStr}`);
+  
+  // If SDK is consistently failing, skip it for updates too
+  const shouldSkipSDK = consecutiveFirebaseErrors >= SKIP_SDK_THRESHOLD;
+  
+  if (shouldSkipSDK) {
+    console.log(`   [UPDATE] Using REST API directly (SDK disabled)`);
+    try {
+      await updateFirebaseViaREST(path, updates);
+      console.log(`   ✅ [UPDATE] REST API successful!`);
+      return true;
+    } catch (restError) {
+      console.error(`   ❌ [UPDATE] REST failed: ${restError.message}`);
+      throw new Error('REST update failed');
+    }
+  }
+  
+  try {
+    console.log(`   [UPDATE] Step 1: Attempting SDK update...`);
+    await updateWithTimeout(db.ref(path), updates, 5000);
+    console.log(`   ✅ [UPDATE] Step 2: SDK update successful!`);
+    return true;
+  } catch (sdkError) {
+    console.warn(`   ⚠️  [UPDATE] Step 2: SDK failed (${sdkError.message}), trying REST API...`);
+    
+    try {
+      console.log(`   [UPDATE] Step 3: Attempting REST API...`);
+      await updateFirebaseViaREST(path, updates);
+      console.log(`   ✅ [UPDATE] Step 4: REST API successful!`);
+      return true;
+    } catch (restError) {
+      console.error(`   ❌ [UPDATE] Step 4: REST failed (${restError.message}) - BOTH METHODS FAILED!`);
+      throw new Error('Both SDK and REST update failed');
+    }
+  }
+}
+
+// Helper: Set Firebase via REST API (PUT for overwrite)
+async function setFirebaseViaREST(path, data) {
+  const url = `${config.firebase.databaseURL}/${path}.json`;
+  
+  const response = await fetchWithTimeout2(url, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  }, 8000);
+  
+  if (!response.ok) {
+    throw new Error(`REST PUT failed: ${response.status}`);
+  }
+  
+  return await response.json();
+}
+
+// Helper: Set with timeout wrapper
+async function setWithTimeout(ref, data, timeoutMs = 5000) {
+  return Promise.race([
+    ref.set(data),
+    new Promise((_, reject) => 
+      setTimeout(() => reject(new Error('Firebase set timeout')), timeoutMs)
+    )
+  ]);
+}
+
+// Smart set: Try SDK first, fallback to REST if timeout
+// quiet: skip the step-by-step logs (frequent writes like /status/job_aktif); failures still logged
+async function setFirebaseSmart(path, data, { quiet = false } = {}) {
+  const log = quiet ? () => {} : console.log;
+  const dataStr = JSON.stringify(data);
+  log(`   [SET START] Path: ${path}, Data: ${dataStr.substring(0,100)}...`);
+  
+  // If SDK is consistently failing, skip it
+  const shouldSkipSDK = consecutiveFirebaseErrors >= SKIP_SDK_THRESHOLD;
+  
+  if (shouldSkipSDK) {
+    log(`   [SET] Using REST API directly (SDK disabled)`);
+    try {
+      await setFirebaseViaREST(path, data);
+      log(`   ✅ [SET] REST API successful!`);
+      return true;
+    } catch (restError) {
+      console.error(`   ❌ [SET] REST failed: ${restError.message}`);
+      throw new Error('REST set failed');
+    }
+  }
+  
+  try {
+    log(`   [SET] Step 1: Attempting SDK set...`);
+    await setWithTimeout(db.ref(path), data, 5000);
+    log(`   ✅ [SET] Step 2: SDK set successful!`);
+    return true;
+  } catch (sdkError) {
+    console.warn(`   ⚠️  [SET] Step 2: SDK failed (${sdkError.message}), trying REST API...`);
+    try {
+      log(`   [SET] Step 3: Attempting REST API...`);
+      await setFirebaseViaREST(path, data);
+      log(`   ✅ [SET] Step 4: REST API successful!`);
+      return true;
+    } catch (restError) {
+      console.error(`   ❌ [SET] Step 4: REST failed - BOTH METHODS FAILED!`);
+      throw new Error('Both SDK and REST set failed');
+    }
+  }
+}
+
+// Smart read: Try SDK first, fallback to REST if timeout (for any path)
+async function readFirebaseSmart(path) {
+  const shouldSkipSDK = consecutiveFirebaseErrors >= SKIP_SDK_THRESHOLD;
+  
+  if (shouldSkipSDK) {
+    console.log('   [READ] Using REST API directly (SDK disabled)');
+    const url = `${config.firebase.databaseURL}/${path}.json`;
+    const response = await fetchWithTimeout2(url, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' }
+    }, 8000);
+    
+    if (!response.ok) {
+      throw new Error(`REST GET failed: ${response.status}`);
+    }
+    
+    return await response.json();
+  }
+  
+  try {
+    const snapshot = await fetchWithTimeout(db.ref(path), 5000);
+    return snapshot.val();
+  } catch (sdkError) {
+    const url = `${config.firebase.databaseURL}/${path}.json`;
+    const response = await fetchWithTimeout2(url, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' }
+    }, 8000);
+    
+    if (!response.ok) {
+      throw new Error(`REST GET failed: ${response.status}`);
+    }
+    
+    return await response.json();
+  }
+}
+
+// ==================== SCHEDULE RULES (HARI / TANGGAL / SEKALI) ====================
+
+// Index sesuai Date.getDay(): 0 = minggu, 6 = sabtu
+const NAMA_HARI = ['minggu', 'senin', 'selasa', 'rabu', 'kamis', 'jumat', 'sabtu'];
+
+// "Jum'at" / "JUMAT" → "jumat"
+function normalizeHari(value) {
+  return String(value).toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// Validasi format "YYYY-MM-DD" dan tanggalnya benar-benar ada
+function isValidDateKey(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+// "HH:MM" → menit sejak 00:00 (null jika format salah)
+function parseTimeKey(value) {
+  if (typeof value !== 'string' || !/^\d{2}:\d{2}$/.test(value)) {
+    return null;
+  }
+  const [hours, minutes] = value.split(':').map(Number);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+// Interval schedule: { interval_menit, mulai, selesai } instead of fixed waktu
+function isIntervalSchedule(schedule) {
+  return schedule.interval_menit !== undefined;
+}
+
+// ==================== SUNRISE / SUNSET (OFFLINE) ====================
+
+// "sunrise+30" / "sunset-15" / "sunrise" → { event, offset } (null jika bukan ekspresi matahari)
+function parseSunExpression(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = value.trim().toLowerCase().match(/^(sunrise|sunset)\s*(?:([+-])\s*(\d+))?$/);
+  if (!match) {
+    return null;
+  }
+  const offset = match[3] ? parseInt(match[3]) * (match[2] === '-' ? -1 : 1) : 0;
+  return { event: match[1], offset };
+}
+
+// Validate /kontrol_1/lokasi → { latitude, longitude } (null jika tidak valid)
+function parseLokasi(lokasi) {
+  if (!lokasi || typeof lokasi !== 'object') {
+    return null;
+  }
+  const latitude = Number(lokasi.latitude);
+  const longitude = Number(lokasi.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return { latitude, longitude };
+}
+
+// NOAA solar equations, computed locally (no network). Returns Date objects for
+// sunrise/sunset on the local calendar day of `date`, or null (polar day/night)
+function calculateSunTimes(date, latitude, longitude) {
+  const rad = Math.PI / 180;
+  const dayStartUtc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  const dayOfYear = Math.round((dayStartUtc - Date.UTC(date.getFullYear(), 0, 1)) / 86400000) + 1;
+
+  // Fractional year (radians) at solar noon
+  const gamma = (2 * Math.PI / 365) * (dayOfYear - 1 + 0.5);
+
+  const eqTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma) -
+    0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+
+  const decl = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma) -
+    0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma) -
+    0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+  // 90.833° zenith = refraction + solar disc radius
+  const cosHourAngle = Math.cos(90.833 * rad) / (Math.cos(latitude * rad) * Math.cos(decl)) -
+    Math.tan(latitude * rad) * Math.tan(decl);
+
+  if (cosHourAngle > 1 || cosHourAngle < -1) {
+    return null;
+  }
+
+  const hourAngle = Math.acos(cosHourAngle) / rad;
+  const sunriseUtcMinutes = 720 - 4 * (longitude + hourAngle) - eqTime;
+  const sunsetUtcMinutes = 720 - 4 * (longitude - hourAngle) - eqTime;
+
+  return {
+    sunrise: new Date(dayStartUtc + Math.round(sunriseUtcMinutes) * 60000),
+    sunset: new Date(dayStartUtc + Math.round(sunsetUtcMinutes) * 60000),
+  };
+}
+
+// Resolve schedule.waktu to concrete "HH:MM" for the day of `now`.
+// Plain "HH:MM" is returned as-is; sun expressions need a valid lokasi.
+function resolveScheduleWaktu(waktu, now, lokasi) {
+  const sunExpr = parseSunExpression(waktu);
+  if (!sunExpr) {
+    return waktu || null;
+  }
+
+  const location = parseLokasi(lokasi);
+  if (!location) {
+    return null;
+  }
+
+  const sunTimes = calculateSunTimes(now, location.latitude, location.longitude);
+  if (!sunTimes) {
+    return null;
+  }
+
+  const resolved = new Date(sunTimes[sunExpr.event].getTime() + sunExpr.offset * 60000);
+  return formatTimeKey(resolved);
+}
+
+// Does the schedule fire at currentTime ("HH:MM")? resolvedWaktu from resolveScheduleWaktu()
+function isScheduleTimeMatch(schedule, currentTime, resolvedWaktu) {
+  if (isIntervalSchedule(schedule)) {
+    const interval = Number(schedule.interval_menit);
+    const mulai = parseTimeKey(schedule.mulai);
+    const selesai = parseTimeKey(schedule.selesai);
+    const current = parseTimeKey(currentTime);
+    if (!Number.isInteger(interval) || interval <= 0 || mulai === null || selesai === null) {
+      return false;
+    }
+    return current >= mulai && current <= selesai && (current - mulai) % interval === 0;
+  }
+
+  return !!resolvedWaktu && resolvedWaktu === currentTime;
+}
+
+// Waktu column for the schedule log: "08:00", "sunrise+30 (06:12)" or "setiap 90m 06:00-18:00"
+function describeScheduleTime(schedule, resolvedWaktu) {
+  if (isIntervalSchedule(schedule)) {
+    return `setiap ${schedule.interval_menit}m ${schedule.mulai || '??:??'}-${schedule.selesai || '??:??'}`;
+  }
+  if (parseSunExpression(schedule.waktu)) {
+    return `${schedule.waktu} (${resolvedWaktu || 'unresolved'})`;
+  }
+  return schedule.waktu || 'not set';
+}
+
+// Validate optional recurrence fields. Returns list of error messages (empty = valid)
+function validateScheduleRules(schedule, lokasi) {
+  const errors = [];
+
+  if (!isIntervalSchedule(schedule) && schedule.waktu !== undefined) {
+    const sunExpr = parseSunExpression(schedule.waktu);
+    if (!sunExpr && parseTimeKey(schedule.waktu) === null) {
+      errors.push(`waktu harus "HH:MM", "sunrise+N" atau "sunset-N" (got: ${schedule.waktu})`);
+    }
+    if (sunExpr && !parseLokasi(lokasi)) {
+      errors.push(`waktu ${schedule.waktu} butuh lokasi { latitude, longitude } di /${FIREBASE_PATHS.kontrol}`);
+    }
+  }
+
+  if (isIntervalSchedule(schedule)) {
+    const interval = Number(schedule.interval_menit);
+    if (!Number.isInteger(interval) || interval <= 0) {
+      errors.push(`interval_menit harus bilangan bulat > 0 (got: ${schedule.interval_menit})`);
+    }
+    const mulai = parseTimeKey(schedule.mulai);
+    const selesai = parseTimeKey(schedule.selesai);
+    if (mulai === null) {
+      errors.push(`mulai harus format "HH:MM" (got: ${schedule.mulai})`);
+    }
+    if (selesai === null) {
+      errors.push(`selesai harus format "HH:MM" (got: ${schedule.selesai})`);
+    }
+    if (mulai !== null && selesai !== null && mulai > selesai) {
+      errors.push(`mulai (${schedule.mulai}) setelah selesai (${schedule.selesai})`);
+    }
+  }
+
+  if (schedule.hari !== undefined) {
+    if (!Array.isArray(schedule.hari) || schedule.hari.length === 0) {
+      errors.push('hari harus array nama hari, contoh ["senin", "rabu"]');
+    } else {
+      const unknown = schedule.hari.filter(h => !NAMA_HARI.includes(normalizeHari(h)));
+      if (unknown.length > 0) {
+        errors.push(`hari tidak dikenal: ${unknown.join(', ')}`);
+      }
+    }
+  }
+
+  for (const field of ['tanggal_mulai', 'tanggal_selesai']) {
+    if (schedule[field] !== undefined && !isValidDateKey(schedule[field])) {
+      errors.push(`${field} harus format "YYYY-MM-DD" (got: ${schedule[field]})`);
+    }
+  }
+
+  if (isValidDateKey(schedule.tanggal_mulai) && isValidDateKey(schedule.tanggal_selesai) &&
+      schedule.tanggal_mulai > schedule.tanggal_selesai) {
+    errors.push(`tanggal_mulai (${schedule.tanggal_mulai}) setelah tanggal_selesai (${schedule.tanggal_selesai})`);
+  }
+
+  if (schedule.sekali !== undefined && typeof schedule.sekali !== 'boolean') {
+    errors.push('sekali harus boolean');
+  }
+
+  if (schedule.skip_jika_basah !== undefined && typeof schedule.skip_jika_basah !== 'boolean') {
+    errors.push('skip_jika_basah harus boolean');
+  }
+
+  if (schedule.min_soil !== undefined) {
+    const minSoil = Number(schedule.min_soil);
+    if (typeof schedule.min_soil !== 'number' || !Number.isFinite(minSoil) || minSoil < 0 || minSoil > 100) {
+      errors.push(`min_soil harus angka 0-100 (got: ${schedule.min_soil})`);
+    }
+  }
+
+  errors.push(...validateSkipConditions(schedule));
+  errors.push(...validateSiklus(schedule));
+  errors.push(...validateFertigasi(schedule));
+  errors.push(...validateVolume(schedule));
+
+  if (schedule.rutin !== undefined && (typeof schedule.rutin !== 'string' || schedule.rutin === '')) {
+    errors.push('rutin harus nama/key rutin, contoh "rutin_1"');
+  }
+
+  if (schedule.on_conflict !== undefined && !CONFLICT_POLICIES.includes(schedule.on_conflict)) {
+    errors.push(`on_conflict harus "merge", "skip" atau "queue" (got: ${schedule.on_conflict})`);
+  }
+
+  if (schedule.catch_up !== undefined && !getCatchUpPolicy(schedule)) {
+    errors.push('catch_up harus "skip", "run_once" atau { within_minutes: N }');
+  }
+
+  return errors;
+}
+
+// Check hari & tanggal window for today. Returns null if allowed, else skip reason
+function checkScheduleRules(schedule, now) {
+  const dateKey = formatDateKey(now);
+
+  if (Array.isArray(schedule.hari)) {
+    const hariIni = NAMA_HARI[now.getDay()];
+    if (!schedule.hari.map(normalizeHari).includes(hariIni)) {
+      return `bukan hari jadwal (hari ini ${hariIni})`;
+    }
+  }
+
+  if (schedule.tanggal_mulai && dateKey < schedule.tanggal_mulai) {
+    return `belum mulai (mulai ${schedule.tanggal_mulai})`;
+  }
+
+  if (schedule.tanggal_selesai && dateKey > schedule.tanggal_selesai) {
+    return `sudah berakhir (selesai ${schedule.tanggal_selesai})`;
+  }
+
+  return null;
+}
+
+// Short human-readable summary of recurrence fields for the schedule log
+function describeScheduleRules(schedule) {
+  const parts = [];
+  if (Array.isArray(schedule.hari)) {
+    parts.push(`hari: ${schedule.hari.join(',')}`);
+  }
+  if (schedule.tanggal_mulai || schedule.tanggal_selesai) {
+    parts.push(`tanggal: ${schedule.tanggal_mulai || '...'} → ${schedule.tanggal_selesai || '...'}`);
+  }
+  if (schedule.sekali === true) {
+    parts.push('sekali');
+  }
+  const soilLimit = getSoilGateLimit(schedule);
+  if (soilLimit !== null) {
+    parts.push(`skip basah ≥${soilLimit}%`);
+  }
+  const skipConditions = getSkipConditions(schedule);
+  if (skipConditions.length > 0) {
+    parts.push(`skip_if: ${skipConditions.join(' / ')}`);
+  }
+  if (schedule.catch_up !== undefined && schedule.catch_up !== 'skip') {
+    const policy = getCatchUpPolicy(schedule);
+    parts.push(`catch_up: ${policy?.mode === 'within_minutes' ? `${policy.minutes}m` : schedule.catch_up}`);
+  }
+  return parts.length > 0 ? `(${parts.join(' | ')})` : '';
+}
+
+// ==================== PAUSE / VACATION MODE (JEDA) ====================
+
+// /kontrol_1/jeda: { sampai: "YYYY-MM-DD HH:MM" | "YYYY-MM-DD" | ISO | epoch ms, mode: "waktu" | "otomatis" | "semua" }
+// Pauses the selected automation until `sampai`, then resumes by itself.
+const JEDA_MODES = ['waktu', 'otomatis', 'semua'];
+
+function parseJedaSampai(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?$/);
+  if (match) {
+    const [, year, month, day, hours = '00', minutes = '00'] = match;
+    return new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes)).getTime();
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Active pause covering `scope` ("waktu" or "otomatis") at `date`, or null
+function getActivePause(jeda, scope, date = new Date()) {
+  if (!jeda || typeof jeda !== 'object') {
+    return null;
+  }
+  const sampai = parseJedaSampai(jeda.sampai);
+  const mode = jeda.mode || 'semua';
+  if (sampai === null || !JEDA_MODES.includes(mode)) {
+    console.warn(`   ⚠️  jeda tidak valid (sampai: ${jeda.sampai}, mode: ${jeda.mode}) - diabaikan`);
+    return null;
+  }
+  if (date.getTime() >= sampai || (mode !== 'semua' && mode !== scope)) {
+    return null;
+  }
+  const until = new Date(sampai);
+  return { sampai, mode, label: `${formatDateKey(until)} ${formatTimeKey(until)}` };
+}
+
+// Remove an expired jeda node so the app sees automation has resumed
+async function clearExpiredPause(kontrolConfig) {
+  const jeda = kontrolConfig?.jeda;
+  const sampai = jeda ? parseJedaSampai(jeda.sampai) : null;
+  if (sampai === null || Date.now() < sampai) {
+    return;
+  }
+  try {
+    await updateFirebaseSmart(FIREBASE_PATHS.kontrol, { jeda: null });
+    console.log(`\n▶️  Jeda (${jeda.mode || 'semua'}) berakhir - automation resumed`);
+  } catch (error) {
+    console.error('❌ Failed to clear expired jeda:', error.message);
+  }
+}
+
+// ==================== WATER BUDGET (BUDGET_PERSEN) ====================
+
+// /kontrol_1/budget_persen: global scale for every job duration (100 = as configured)
+// /kontrol_1/budget_bulanan: optional per-month override, e.g. { "7": 150, "12": 60 }
+const BUDGET_PERSEN_MIN = 10;
+const BUDGET_PERSEN_MAX = 300;
+
+// Budget percentage in effect at `date`: { persen, sumber: 'bulanan' | 'global' | 'default' }
+function getWaterBudget(kontrolConfig, date = new Date()) {
+  const bulanan = kontrolConfig?.budget_bulanan;
+  const monthly = bulanan && typeof bulanan === 'object' ? bulanan[date.getMonth() + 1] : undefined;
+
+  let persen = 100;
+  let sumber = 'default';
+  if (monthly !== undefined && monthly !== null) {
+    persen = Number(monthly);
+    sumber = 'bulanan';
+  } else if (kontrolConfig?.budget_persen !== undefined && kontrolConfig?.budget_persen !== null) {
+    persen = Number(kontrolConfig.budget_persen);
+    sumber = 'global';
+  }
+
+  if (!Number.isFinite(persen)) {
+    console.warn(`   ⚠️  budget (${sumber}) bukan angka - memakai 100%`);
+    return { persen: 100, sumber: 'default' };
+  }
+  if (persen < BUDGET_PERSEN_MIN || persen > BUDGET_PERSEN_MAX) {
+    const clamped = Math.min(Math.max(persen, BUDGET_PERSEN_MIN), BUDGET_PERSEN_MAX);
+    console.warn(`   ⚠️  budget ${persen}% di luar ${BUDGET_PERSEN_MIN}-${BUDGET_PERSEN_MAX}% - memakai ${clamped}%`);
+    persen = clamped;
+  }
+  return { persen, sumber };
+}
+
+// Scaled duration in seconds (never below 1s)
+function applyWaterBudget(durasi, budget) {
+  return Math.max(1, Math.round(durasi * budget.persen / 100));
+}
+
+// ==================== CYCLE & SOAK (SIKLUS) ====================
+
+// siklus: { ulang: N, off_detik: S, on_detik?: S } on jadwal_N / threshold_N.
+// Valves run `ulang` pulses of `on_detik` with `off_detik` soak pauses in between,
+// so water soaks into compact pots instead of running off. Without `on_detik`
+// the (budgeted) durasi is split evenly over the pulses.
+function validateSiklus(item) {
+  if (item.siklus === undefined || item.siklus === null) {
+    return [];
+  }
+  const siklus = item.siklus;
+  if (typeof siklus !== 'object' || Array.isArray(siklus)) {
+    return ['siklus harus object { on_detik, off_detik, ulang }'];
+  }
+
+  const errors = [];
+  if (!Number.isInteger(siklus.ulang) || siklus.ulang < 1) {
+    errors.push(`siklus.ulang harus bilangan bulat >= 1 (got: ${siklus.ulang})`);
+  }
+  if (typeof siklus.off_detik !== 'number' || !Number.isFinite(siklus.off_detik) || siklus.off_detik < 0) {
+    errors.push(`siklus.off_detik harus angka >= 0 (got: ${siklus.off_detik})`);
+  }
+  if (siklus.on_detik !== undefined &&
+      (typeof siklus.on_detik !== 'number' || !Number.isFinite(siklus.on_detik) || siklus.on_detik <= 0)) {
+    errors.push(`siklus.on_detik harus angka > 0 (got: ${siklus.on_detik})`);
+  }
+  return errors;
+}
+
+// Normalised pulse plan for the job data, or null when siklus is not configured
+function buildSiklusPlan(item, durasiDasar, budget) {
+  if (!item.siklus || validateSiklus(item).length > 0) {
+    return null;
+  }
+  const { ulang, off_detik: offDetik, on_detik: onDetik } = item.siklus;
+  const on = onDetik !== undefined
+    ? applyWaterBudget(onDetik, budget)
+    : Math.max(1, Math.round(applyWaterBudget(durasiDasar, budget) / ulang));
+
+  return { on_detik: on, off_detik: Math.round(offDetik), ulang };
+}
+
+// Wall-clock seconds a job occupies (pre-mix, soak pauses and sequential valve batches included)
+function getJobWallSeconds(duration, siklus, batchCount = 1, fertigasi = null) {
+  if (fertigasi) {
+    return fertigasi.premix_detik + (fertigasi.pupuk_detik + fertigasi.flush_detik) * batchCount;
+  }
+  if (!siklus) {
+    return duration * batchCount;
+  }
+  return (siklus.on_detik * siklus.ulang + siklus.off_detik * (siklus.ulang - 1)) * batchCount;
+}
+
+// ==================== FERTIGATION (PENGADUK + FLUSH) ====================
+
+// With fertigasi configured (and pompa_pupuk on), jobs run a fertigation sequence instead of both pumps together:
+//   1. pre-mix: pengaduk (mosvet_8) stirs the fertiliser tank
+//   2. dose:    pompa pupuk (mosvet_2) + valves for a portion of durasi (mixer keeps running)
+//   3. flush:   pompa air (mosvet_1) only, to rinse fertiliser out of the lines
+// Timings via fertigasi: { premix_detik, pupuk_persen | pupuk_detik, flush_detik } on jadwal_N / threshold_N
+// (fertigasi: true = defaults). Without it pompa_pupuk just runs alongside like before.
+// The timings are fixed, so smart_mode / siklus / volume_ml can't be combined with it.
+const FERTIGASI_DEFAULTS = {
+  premix_detik: 30,
+  pupuk_persen: 100,
+  flush_detik: 30,
+};
+
+function validateFertigasi(item) {
+  if (item.fertigasi === undefined || item.fertigasi === null) {
+    return [];
+  }
+  const fertigasi = item.fertigasi;
+  const errors = [];
+  if (fertigasi !== false) {
+    if (item.smart_mode === true) {
+      errors.push('fertigasi tidak bisa dipakai bersama smart_mode (timing fertigasi tetap)');
+    }
+    if (item.siklus !== undefined && item.siklus !== null) {
+      errors.push('fertigasi tidak bisa dipakai bersama siklus');
+    }
+    if (item.volume_ml !== undefined && item.volume_ml !== null) {
+      errors.push('fertigasi tidak bisa dipakai bersama volume_ml');
+    }
+  }
+  if (typeof fertigasi === 'boolean') {
+    return errors;
+  }
+  if (typeof fertigasi !== 'object' || Array.isArray(fertigasi)) {
+    return ['fertigasi harus true atau object { premix_detik, pupuk_persen | pupuk_detik, flush_detik }'];
+  }
+
+  const isNumberIn = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+  for (const field of ['premix_detik', 'flush_detik']) {
+    if (fertigasi[field] !== undefined && !isNumberIn(fertigasi[field], 0, Infinity)) {
+      errors.push(`fertigasi.${field} harus angka >= 0 (got: ${fertigasi[field]})`);
+    }
+  }
+  if (fertigasi.pupuk_persen !== undefined && !isNumberIn(fertigasi.pupuk_persen, 1, 100)) {
+    errors.push(`fertigasi.pupuk_persen harus angka 1-100 (got: ${fertigasi.pupuk_persen})`);
+  }
+  if (fertigasi.pupuk_detik !== undefined && !isNumberIn(fertigasi.pupuk_detik, 1, Infinity)) {
+    errors.push(`fertigasi.pupuk_detik harus angka > 0 (got: ${fertigasi.pupuk_detik})`);
+  }
+  if (fertigasi.pupuk_persen !== undefined && fertigasi.pupuk_detik !== undefined) {
+    errors.push('fertigasi: isi salah satu pupuk_persen atau pupuk_detik');
+  }
+  return errors;
+}
+
+// Step timings for the job data (durasi already budgeted), or null when fertigasi isn't
+// configured or pompa_pupuk is off
+function buildFertigasiPlan(item, durasi, pompaPupuk) {
+  if (!pompaPupuk || !item.fertigasi || validateFertigasi(item).length > 0) {
+    return null;
+  }
+  const fertigasi = { ...FERTIGASI_DEFAULTS, ...(item.fertigasi === true ? {} : item.fertigasi) };
+  const pupukDetik = item.fertigasi?.pupuk_detik !== undefined
+    ? Math.round(item.fertigasi.pupuk_detik)
+    : Math.max(1, Math.round(durasi * fertigasi.pupuk_persen / 100));
+
+  return {
+    premix_detik: Math.round(fertigasi.premix_detik),
+    pupuk_detik: pupukDetik,
+    flush_detik: Math.round(fertigasi.flush_detik),
+  };
+}
+
+// ==================== VOLUME WATERING (FLOW SENSOR) ====================
+
+// volume_ml on jadwal_N / threshold_N: water each pot until a measured volume is delivered,
+// since the same seconds give different amounts as pump pressure and tank level change.
+//   volume_ml: 500                    → 500 ml for every pot
+//   volume_ml: { "1": 500, "3": 800 } → per pot (pots not listed keep durasi)
+// Flow sensors come from the device profile /kontrol_1/profil_alat/flow, one per pot line,
+// each a cumulative counter in /data:
+//   { "1": { "field": "flow_1", "satuan": "pulsa", "pulsa_per_liter": 450 },
+//     "3": { "field": "flow_3", "satuan": "ml" } }
+// durasi stays the safety cap: a valve closes after durasi even if the volume isn't reached.
+const FLOW_SATUAN = ['pulsa', 'ml'];
+
+function validateVolume(item) {
+  if (item.volume_ml === undefined || item.volume_ml === null) {
+    return [];
+  }
+  const isVolume = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+  if (typeof item.volume_ml === 'number') {
+    return isVolume(item.volume_ml) ? [] : [`volume_ml harus angka > 0 (got: ${item.volume_ml})`];
+  }
+  if (typeof item.volume_ml !== 'object') {
+    return ['volume_ml harus angka atau object per pot, contoh { "1": 500 }'];
+  }
+
+  // Firebase returns { "1": .., "2": .. } as a sparse array: skip the empty slots
+  const errors = [];
+  for (const [pot, ml] of Object.entries(item.volume_ml)) {
+    if (ml === null || ml === undefined) continue;
+    if (!/^[1-5]$/.test(pot)) {
+      errors.push(`volume_ml: pot "${pot}" tidak valid (1-5)`);
+    } else if (!isVolume(ml)) {
+      errors.push(`volume_ml.${pot} harus angka > 0 (got: ${ml})`);
+    }
+  }
+  return errors;
+}
+
+// Valid flow sensor per pot from /kontrol_1/profil_alat/flow: { pot: { field, satuan, pulsa_per_liter } }
+function getFlowProfile(kontrolConfig) {
+  const flow = kontrolConfig?.profil_alat?.flow;
+  const profile = {};
+  if (!flow || typeof flow !== 'object') {
+    return profile;
+  }
+
+  for (const [pot, sensor] of Object.entries(flow)) {
+    if (!sensor || typeof sensor.field !== 'string' || sensor.field === '') continue;
+    const satuan = sensor.satuan || 'pulsa';
+    const pulsaPerLiter = Number(sensor.pulsa_per_liter);
+    if (!FLOW_SATUAN.includes(satuan) || (satuan === 'pulsa' && !(pulsaPerLiter > 0))) {
+      console.warn(`   ⚠️  profil_alat.flow.${pot}: satuan harus "pulsa" (dengan pulsa_per_liter > 0) atau "ml" - diabaikan`);
+      continue;
+    }
+    profile[pot] = { field: sensor.field, satuan, ...(satuan === 'pulsa' && { pulsa_per_liter: pulsaPerLiter }) };
+  }
+  return profile;
+}
+
+// Volume targets (budget applied) + flow sensors for the job data, or null.
+// Pots without a flow sensor in the profile are watered by durasi as before.
+function buildVolumePlan(item, potNumbers, kontrolConfig, budget) {
+  if (item.volume_ml === undefined || item.volume_ml === null || validateVolume(item).length > 0) {
+    return null;
+  }
+  const profile = getFlowProfile(kontrolConfig);
+  const target = {};
+  const flow = {};
+  for (const pot of potNumbers) {
+    const ml = typeof item.volume_ml === 'number' ? item.volume_ml : item.volume_ml[pot];
+    if (ml === undefined) continue;
+    if (!profile[pot]) {
+      console.warn(`   ⚠️  POT ${pot}: volume_ml tanpa flow sensor di profil_alat - memakai durasi`);
+      continue;
+    }
+    target[pot] = applyWaterBudget(ml, budget);
+    flow[pot] = profile[pot];
+  }
+  return Object.keys(target).length > 0 ? { target, flow } : null;
+}
+
+// Cumulative flow counter of `sensor` in /data converted to ml, or null if missing
+function readFlowMl(sensorData, sensor) {
+  const raw = Number(sensorData?.[sensor.field]);
+  if (sensorData?.[sensor.field] === undefined || !Number.isFinite(raw)) {
+    return null;
+  }
+  return sensor.satuan === 'ml' ? raw : raw / sensor.pulsa_per_liter * 1000;
+}
+
+// Per-pot meter: ml delivered since the valve opened (plus `awalMl` from before a restart)
+function createFlowMeter(sensor, sensorData, awalMl = 0) {
+  return { sensor, last: readFlowMl(sensorData, sensor), ml: awalMl };
+}
+
+function updateFlowMeter(meter, sensorData) {
+  const current = readFlowMl(sensorData, meter.sensor);
+  if (current === null) return;
+  if (meter.last !== null) {
+    // Counter went down: the ESP32 restarted and counts from 0 again
+    meter.ml += current >= meter.last ? current - meter.last : current;
+  }
+  meter.last = current;
+}
+
+// History summary: { target_ml, terkirim_liter: { pot: L }, total_liter }
+function summarizeVolume(volume, deliveredMl) {
+  const terkirim = {};
+  let total = 0;
+  for (const pot of Object.keys(volume.target)) {
+    const liter = Math.round((deliveredMl[pot] || 0) / 10) / 100;
+    terkirim[pot] = liter;
+    total += liter;
+  }
+  return { target_ml: volume.target, terkirim_liter: terkirim, total_liter: Math.round(total * 100) / 100 };
+}
+
+// ==================== ROUTINES (RUTIN_N) ====================
+
+// /kontrol_1/rutin_N: an ordered list of actuator steps, referenced by jadwal_N /
+// threshold_N (and manual commands) via `rutin: "rutin_N"` or the routine's `nama`:
+//   "rutin_1": { "nama": "pupuk_pagi", "langkah": [
+//     { "pengaduk": true, "detik": 30 },
+//     { "pompa_pupuk": true, "pot": [1, 2], "detik": 20 },
+//     { "pompa_air": true, "pot": [1, 2], "detik": 40 } ] }
+// Raw outputs ("mosvet_8": true) are accepted next to the aliases.
+const RUTIN_ALIASES = { pompa_air: 'mosvet_1', pompa_pupuk: 'mosvet_2', pengaduk: 'mosvet_8' };
+const MAX_RUTIN_STEP_SECONDS = 3600;
+
+function findRutin(kontrolConfig, ref) {
+  if (!kontrolConfig || typeof ref !== 'string') {
+    return null;
+  }
+  if (/^rutin_\d+$/.test(ref) && kontrolConfig[ref]) {
+    return { key: ref, rutin: kontrolConfig[ref] };
+  }
+  const key = Object.keys(kontrolConfig).find(k => /^rutin_\d+$/.test(k) && kontrolConfig[k]?.nama === ref);
+  return key ? { key, rutin: kontrolConfig[key] } : null;
+}
+
+// { outputs: ['mosvet_N', ...], pots, detik } or { error }
+function parseRutinStep(step, index) {
+  const label = `langkah ${index + 1}`;
+  if (!step || typeof step !== 'object') {
+    return { error: `${label} harus object` };
+  }
+
+  const detik = Number(step.detik);
+  if (typeof step.detik !== 'number' || !Number.isFinite(detik) || detik <= 0 || detik > MAX_RUTIN_STEP_SECONDS) {
+    return { error: `${label}: detik harus angka 1-${MAX_RUTIN_STEP_SECONDS} (got: ${step.detik})` };
+  }
+
+  const outputs = new Set();
+  const pots = step.pot === undefined ? [] : step.pot;
+  if (!Array.isArray(pots) || pots.some(p => !Number.isInteger(p) || p < 1 || p > 5)) {
+    return { error: `${label}: pot harus array nomor pot 1-5` };
+  }
+  pots.forEach(pot => outputs.add(`mosvet_${pot + 2}`));
+
+  for (const [field, value] of Object.entries(step)) {
+    const isOn = value === true || value === 'on';
+    if (RUTIN_ALIASES[field] && isOn) {
+      outputs.add(RUTIN_ALIASES[field]);
+    } else if (/^mosvet_[1-8]$/.test(field) && isOn) {
+      outputs.add(field);
+    }
+  }
+
+  if (outputs.size === 0) {
+    return { error: `${label}: tidak ada aktuator yang dinyalakan` };
+  }
+  return { outputs: [...outputs].sort(), pots, detik: Math.round(detik) };
+}
+
+// Snapshot of a routine for the job data. Steps that open pot valves are scaled by the water budget.
+function resolveRutin(kontrolConfig, ref, budget) {
+  const found = findRutin(kontrolConfig, ref);
+  if (!found) {
+    return { error: `rutin "${ref}" tidak ditemukan di /${FIREBASE_PATHS.kontrol}` };
+  }
+
+  const steps = Array.isArray(found.rutin) ? found.rutin : found.rutin.langkah;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return { error: `${found.key}: langkah harus array berisi minimal 1 langkah` };
+  }
+
+  const langkah = [];
+  for (let i = 0; i < steps.length; i++) {
+    const parsed = parseRutinStep(steps[i], i);
+    if (parsed.error) {
+      return { error: `${found.key}: ${parsed.error}` };
+    }
+    if (parsed.pots.length > 0 && budget) {
+      parsed.detik = applyWaterBudget(parsed.detik, budget);
+    }
+    langkah.push(parsed);
+  }
+
+  return {
+    key: found.key,
+    nama: found.rutin.nama || found.key,
+    langkah,
+    pots: [...new Set(langkah.flatMap(step => step.pots))].sort((a, b) => a - b),
+    totalDetik: langkah.reduce((sum, step) => sum + step.detik, 0),
+  };
+}
+
+// ==================== SEQUENTIAL ZONES (MAX_VALVE_BERSAMAAN) ====================
+
+// /kontrol_1/max_valve_bersamaan: how many pot valves the pump can feed at once.
+// Jobs with more pots are watered in batches; unset / invalid = all valves together.
+function getMaxValveBersamaan(kontrolConfig) {
+  const value = kontrolConfig?.max_valve_bersamaan;
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Number.isInteger(value) || value < 1) {
+    console.warn(`   ⚠️  max_valve_bersamaan harus bilangan bulat >= 1 (got: ${value}) - diabaikan`);
+    return null;
+  }
+  return value;
+}
+
+// [[1, 2], [3, 4], [5]] for pots [1..5] with max 2
+function splitValveBatches(potNumbers, maxValve) {
+  if (!maxValve || potNumbers.length <= maxValve) {
+    return [potNumbers];
+  }
+  const batches = [];
+  for (let i = 0; i < potNumbers.length; i += maxValve) {
+    batches.push(potNumbers.slice(i, i + maxValve));
+  }
+  return batches;
+}
+
+// ==================== SENSOR-AWARE SCHEDULE GATING ====================
+
+const DEFAULT_SKIP_BASAH_SOIL = 70; // Sama dengan default batas_atas threshold
+
+// Soil % at/above which a scheduled pot is skipped (null = gating disabled).
+// skip_jika_basah: true enables it, min_soil overrides the limit.
+function getSoilGateLimit(schedule) {
+  if (schedule.skip_jika_basah === false) {
+    return null;
+  }
+  if (schedule.min_soil !== undefined) {
+    return Number(schedule.min_soil);
+  }
+  return schedule.skip_jika_basah === true ? DEFAULT_SKIP_BASAH_SOIL : null;
+}
+
+// Split pots into those still needing water and those already wet
+function filterWetPots(potNumbers, sensorData, soilLimit) {
+  const pots = [];
+  const skipped = [];
+  for (const pot of potNumbers) {
+    const value = parseInt(sensorData[`soil_${pot}`]) || 0;
+    if (value >= soilLimit) {
+      skipped.push({ pot, value });
+    } else {
+      pots.push(pot);
+    }
+  }
+  return { pots, skipped };
+}
+
+// ==================== SKIP_IF CONDITIONS (RAIN / EXTERNAL) ====================
+
+// skip_if: "hujan == true" | ["hujan == true", "suhu < 10"]. Field = key under /data.
+// Any matching condition skips the trigger. Unknown/missing sensor values never match.
+const SKIP_IF_OPERATORS = ['==', '!=', '<=', '>=', '<', '>'];
+const SKIP_LOG_TTL = 30 * 60 * 1000; // Historise a repeated threshold skip at most every 30 min
+
+function getSkipConditions(item) {
+  if (item.skip_if === undefined || item.skip_if === null) {
+    return [];
+  }
+  if (typeof item.skip_if === 'string') {
+    return [item.skip_if];
+  }
+  // Firebase may return arrays as objects ({ "0": ..., "1": ... })
+  return typeof item.skip_if === 'object' ? Object.values(item.skip_if) : [item.skip_if];
+}
+
+// "suhu < 10" → { field: 'suhu', op: '<', value: 10 } (null jika format salah)
+function parseSkipCondition(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const match = text.trim().match(/^([A-Za-z0-9_]+)\s*(==|!=|<=|>=|<|>)\s*(.+)$/);
+  if (!match || !SKIP_IF_OPERATORS.includes(match[2])) {
+    return null;
+  }
+
+  const raw = match[3].trim();
+  let value;
+  if (raw === 'true' || raw === 'false') {
+    value = raw === 'true';
+  } else if (/^-?\d+(\.\d+)?$/.test(raw)) {
+    value = parseFloat(raw);
+  } else if (/^(['"]).*\1$/.test(raw)) {
+    value = raw.slice(1, -1);
+  } else {
+    return null;
+  }
+
+  // Ordering operators only make sense for numbers
+  if (['<', '<=', '>', '>='].includes(match[2]) && typeof value !== 'number') {
+    return null;
+  }
+
+  return { field: match[1], op: match[2], value };
+}
+
+function validateSkipConditions(item) {
+  return getSkipConditions(item)
+    .filter(condition => !parseSkipCondition(condition))
+    .map(condition => `skip_if tidak valid: ${JSON.stringify(condition)} (contoh: "hujan == true", "suhu < 10")`);
+}
+
+function matchSkipCondition(condition, sensorData) {
+  const actual = sensorData[condition.field];
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+
+  if (typeof condition.value === 'boolean') {
+    const actualBool = actual === true || actual === 'true' || actual === 1 || actual === '1';
+    return condition.op === '==' ? actualBool === condition.value : actualBool !== condition.value;
+  }
+
+  if (typeof condition.value === 'number') {
+    const actualNum = parseFloat(actual);
+    if (Number.isNaN(actualNum)) {
+      return false;
+    }
+    switch (condition.op) {
+      case '==': return actualNum === condition.value;
+      case '!=': return actualNum !== condition.value;
+      case '<': return actualNum < condition.value;
+      case '<=': return actualNum <= condition.value;
+      case '>': return actualNum > condition.value;
+      case '>=': return actualNum >= condition.value;
+    }
+  }
+
+  return condition.op === '==' ? String(actual) === condition.value : String(actual) !== condition.value;
+}
+
+// First matching skip_if condition as a readable reason, or null
+function evaluateSkipConditions(item, sensorData) {
+  for (const text of getSkipConditions(item)) {
+    const condition = parseSkipCondition(text);
+    if (condition && matchSkipCondition(condition, sensorData)) {
+      return `Kondisi skip_if terpenuhi: ${text.trim()} (${condition.field}=${sensorData[condition.field]})`;
+    }
+  }
+  return null;
+}
+
+// ==================== SCHEDULE CONFLICTS ====================
+
+const CONFLICT_POLICIES = ['queue', 'skip', 'merge'];
+const CONFLICT_ANALYSIS_MINUTES = 24 * 60; // Analyse the next 24 hours of firings
+let lastWarningsJson = null;
+
+function schedulePumps(schedule) {
+  const rutin = schedule.rutin !== undefined ? resolveRutin(kontrolCache, schedule.rutin, null) : null;
+  if (rutin && !rutin.error) {
+    const outputs = rutin.langkah.flatMap(step => step.outputs);
+    return [...(outputs.includes('mosvet_1') ? ['air'] : []), ...(outputs.includes('mosvet_2') ? ['pupuk'] : [])];
+  }
+
+  const pumps = [];
+  if (schedule.pompa_air !== false) pumps.push('air');
+  if (schedule.pompa_pupuk === true) pumps.push('pupuk');
+  return pumps;
+}
+
+// Overlap of two jobs/windows on pots and pumps
+function findSharedOutputs(a, b) {
+  return {
+    pots: a.pots.filter(pot => b.pots.includes(pot)),
+    pumps: a.pumps.filter(pump => b.pumps.includes(pump)),
+  };
+}
+
+function getScheduleWallSeconds(schedule, budget, maxValve) {
+  if (schedule.rutin !== undefined) {
+    const rutin = resolveRutin(kontrolCache, schedule.rutin, budget);
+    return rutin.error ? 0 : rutin.totalDetik;
+  }
+  const siklus = buildSiklusPlan(schedule, schedule.durasi || 60, budget);
+  const pots = Array.isArray(schedule.pot_aktif) ? schedule.pot_aktif : [];
+  const durasi = applyWaterBudget(schedule.durasi || 60, budget);
+  const fertigasi = buildFertigasiPlan(schedule, durasi, schedule.pompa_pupuk || false);
+  return getJobWallSeconds(durasi, siklus, splitValveBatches(pots, maxValve).length, fertigasi);
+}
+
+// Windows [start, start + durasi) of every active schedule in the next 24h,
+// checked pairwise for overlap on the same pot or the same pump
+function analyzeScheduleConflicts(entries, lokasi, fromMs) {
+  const windows = [];
+  const maxValve = getMaxValveBersamaan(kontrolCache);
+  for (const [scheduleKey, { schedule }] of Object.entries(entries)) {
+    if (!schedule || typeof schedule !== 'object' || schedule.aktif === false ||
+        validateScheduleRules(schedule, lokasi).length > 0) {
+      continue;
+    }
+    const rutin = schedule.rutin !== undefined ? resolveRutin(kontrolCache, schedule.rutin, null) : null;
+    const pots = rutin ? rutin.pots || [] : Array.isArray(schedule.pot_aktif) ? schedule.pot_aktif : [];
+    for (let i = 0; i < CONFLICT_ANALYSIS_MINUTES; i++) {
+      const slotDate = new Date(floorToMinute(fromMs) + i * 60000);
+      if (isScheduleDueAt(schedule, slotDate, lokasi)) {
+        windows.push({
+          scheduleKey,
+          start: slotDate.getTime(),
+          end: slotDate.getTime() + getScheduleWallSeconds(schedule, getWaterBudget(kontrolCache, slotDate), maxValve) * 1000,
+          pots,
+          pumps: schedulePumps(schedule),
+          policy: schedule.on_conflict || 'queue',
+        });
+      }
+    }
+  }
+
+  windows.sort((a, b) => a.start - b.start);
+
+  // One warning per schedule pair (interval schedules may overlap many times)
+  const conflicts = {};
+  for (let i = 0; i < windows.length; i++) {
+    for (let j = i + 1; j < windows.length && windows[j].start < windows[i].end; j++) {
+      const a = windows[i];
+      const b = windows[j];
+      if (a.scheduleKey === b.scheduleKey) continue;
+
+      const shared = findSharedOutputs(a, b);
+      if (shared.pots.length === 0 && shared.pumps.length === 0) continue;
+
+      const pairKey = `${a.scheduleKey}|${b.scheduleKey}`;
+      if (conflicts[pairKey]) {
+        conflicts[pairKey].jumlah++;
+        continue;
+      }
+
+      const range = w => `${formatTimeKey(new Date(w.start))}-${formatTimeKey(new Date(w.end))}`;
+      conflicts[pairKey] = {
+        jadwal: [a.scheduleKey, b.scheduleKey],
+        waktu: `${formatDateKey(new Date(a.start))} ${formatTimeKey(new Date(b.start))}`,
+        jenis: shared.pots.length > 0 ? 'pot' : 'pompa',
+        pots: shared.pots,
+        pompa: shared.pumps,
+        on_conflict: b.policy,
+        jumlah: 1,
+        pesan: `${a.scheduleKey} (${range(a)}) dan ${b.scheduleKey} (${range(b)}) overlap di ` +
+          (shared.pots.length > 0 ? `pot [${shared.pots.join(', ')}]` : `pompa ${shared.pumps.join(', ')}`),
+      };
+    }
+  }
+
+  return Object.values(conflicts);
+}
+
+// Write conflicts to /kontrol_1/_warnings (removed when there are none)
+async function publishScheduleWarnings(conflicts) {
+  const json = JSON.stringify(conflicts);
+  if (json === lastWarningsJson) {
+    return; // Unchanged - avoid rewriting the node on every rebuild
+  }
+
+  conflicts.forEach(conflict => console.log(`   ⚠️  CONFLICT: ${conflict.pesan} → on_conflict=${conflict.on_conflict}`));
+
+  await setFirebaseSmart(`${FIREBASE_PATHS.kontrol}/_warnings`, conflicts.length > 0
+    ? { updated_at: Date.now(), conflicts }
+    : null);
+  lastWarningsJson = json;
+}
+
+// Apply the firing schedule's on_conflict policy against schedule jobs that are
+// still queued or running and share a pot or pump.
+// Returns { action: 'enqueue' | 'skip' | 'merged', potNumbers, reason }
+async function resolveScheduleConflict(jobKey, policy, job) {
+  if (policy === 'queue') {
+    return { action: 'enqueue', potNumbers: job.potNumbers };
+  }
+
+  const candidate = { pots: job.potNumbers, pumps: [...(job.pompaAir ? ['air'] : []), ...(job.pompaPupuk ? ['pupuk'] : [])] };
+  const queued = await wateringQueue.getJobs(['active', 'waiting', 'prioritized']);
+  const conflicting = [];
+  for (const other of queued) {
+    if (!other || !other.data?.type?.startsWith('waktu_')) continue;
+    const otherOutputs = { pots: other.data.potNumbers || [], pumps: [...(other.data.pompaAir ? ['air'] : []), ...(other.data.pompaPupuk ? ['pupuk'] : [])] };
+    const shared = findSharedOutputs(candidate, otherOutputs);
+    if (shared.pots.length > 0 || shared.pumps.length > 0) {
+      conflicting.push({ job: other, state: await other.getState() });
+    }
+  }
+
+  if (conflicting.length === 0) {
+    return { action: 'enqueue', potNumbers: job.potNumbers };
+  }
+
+  const ids = conflicting.map(c => c.job.id).join(', ');
+
+  if (policy === 'skip') {
+    return { action: 'skip', reason: `Bentrok dengan ${ids} (on_conflict=skip)` };
+  }
+
+  // merge: fold into a job that has not started yet (see SCHEDULE MERGE LOCK)...
+  const isWaiting = state => state === 'waiting' || state === 'prioritized';
+  const waiting = conflicting.find(c => isWaiting(c.state) && !c.job.data.rutin && !c.job.data.volume && !c.job.data.siklus && !c.job.data.fertigasi);
+  if (waiting) {
+    const merged = await mergeIntoWaitingJob(waiting.job.id, jobKey, job);
+    if (merged) {
+      const changed = merged.changed.length > 0
+        ? `, durasi ${merged.changed.map(entry => `pot ${entry.pot} ${entry.detik}s`).join(', ')} → ${merged.duration}s`
+        : '';
+      return { action: 'merged', reason: `Digabung ke ${waiting.job.id} (on_conflict=merge)${changed}` };
+    }
+    waiting.state = await waiting.job.getState();
+    console.log(`   ⚠️ ${waiting.job.id} started before the merge - queueing separately`);
+  }
+
+  // ...or drop the pots a running job is already watering (waiting jobs water nothing yet)
+  const running = conflicting.filter(c => c.state === 'active');
+  const runningPots = running.flatMap(c => c.job.data.potNumbers || []);
+  const remaining = job.potNumbers.filter(pot => !runningPots.includes(pot));
+  if (remaining.length === 0) {
+    return { action: 'skip', reason: `Semua pot sedang disiram oleh ${running.map(c => c.job.id).join(', ')} (on_conflict=merge)` };
+  }
+  return { action: 'enqueue', potNumbers: remaining };
+}
+
+// Add a jadwal_N job to the queue for the given slot (minute). Returns true if queued.
+// Shared by the schedule timers and missed-schedule catch-up.
+async function enqueueScheduleJob(scheduleKey, schedule, slotDate, { catchUp = false, jobName = scheduleKey, jobType = `waktu_${scheduleKey}` } = {}) {
+  const slotTime = formatTimeKey(slotDate);
+  const slotDateKey = formatDateKey(slotDate);
+
+  // Extract schedule config
+  const budget = getWaterBudget(kontrolCache, slotDate);
+  const rutin = schedule.rutin !== undefined ? resolveRutin(kontrolCache, schedule.rutin, budget) : null;
+  if (rutin?.error) {
+    console.log(`   ⚠️  ${scheduleKey}: ${rutin.error}, skipping`);
+    return false;
+  }
+
+  const potAktif = rutin ? rutin.pots : (schedule.pot_aktif || []);
+  const durasiDasar = schedule.durasi || 60;
+  const siklus = rutin ? null : buildSiklusPlan(schedule, durasiDasar, budget);
+  const durasi = rutin ? rutin.totalDetik : (siklus ? siklus.on_detik * siklus.ulang : applyWaterBudget(durasiDasar, budget));
+  const pompaAir = rutin ? rutin.langkah.some(step => step.outputs.includes('mosvet_1')) : schedule.pompa_air !== false; // Default true
+  const pompaPupuk = rutin ? rutin.langkah.some(step => step.outputs.includes('mosvet_2')) : schedule.pompa_pupuk || false; // Default false
+  const fertigasi = rutin ? null : buildFertigasiPlan(schedule, durasi, pompaPupuk);
+  
+  // Validate pot_aktif (a routine may only drive pumps / the mixer)
+  if (!rutin && (!Array.isArray(potAktif) || potAktif.length === 0)) {
+    console.log(`   ⚠️  ${scheduleKey}: No active pots defined, skipping`);
+    return false;
+  }
+  
+  if (kontrolCache?.stop_darurat === true) {
+    console.log(`   🛑 ${scheduleKey}: stop_darurat aktif - skipping`);
+    await disableOneShotSchedule(scheduleKey, schedule, 'stop darurat aktif');
+    return false;
+  }
+
+  // Vacation / pause mode (also covers catch-up slots that fell inside the pause)
+  const pause = getActivePause(kontrolCache?.jeda, 'waktu', slotDate);
+  if (pause) {
+    console.log(`   ⏸️  ${scheduleKey}: Jeda aktif sampai ${pause.label} (mode: ${pause.mode}) - skipping`);
+    await disableOneShotSchedule(scheduleKey, schedule, `Jeda aktif sampai ${pause.label}`);
+    return false;
+  }
+
+  // Create unique job key
+  const jobKey = `${scheduleKey}_${slotDateKey}_${slotTime.replace(':', '_')}`;
+  
+  // Claim the schedule minute across all worker instances
+  const triggerKey = scheduleTriggerKey(jobKey);
+  try {
+    if (!await claimTrigger(triggerKey, String(Date.now()), SCHEDULE_TRIGGER_TTL)) {
+      console.log(`   ⏭️  ${scheduleKey} already triggered: ${jobKey}`);
+      return false;
+    }
+  } catch (redisError) {
+    console.error(`   ❌ Failed to claim trigger for ${scheduleKey}:`, redisError.message);
+    return false;
+  }
+
+  console.log(`\n🕐 ${scheduleKey.toUpperCase()} TRIGGERED: ${slotTime}${catchUp ? ' (CATCH-UP)' : ''}`);
+  if (rutin) {
+    console.log(`   📜 Rutin: ${rutin.key} (${rutin.nama}) - ${rutin.langkah.length} langkah`);
+  }
+  console.log(`   🎯 Pot aktif: [${potAktif.join(', ')}]`);
+  console.log(`   ⏱️  Durasi: ${durasi}s${budget.persen !== 100 ? ` (${durasiDasar}s × budget ${budget.persen}% ${budget.sumber})` : ''}`);
+  if (siklus) {
+    console.log(`   🔁 Siklus: ${siklus.ulang}× (${siklus.on_detik}s ON / ${siklus.off_detik}s soak)`);
+  }
+  console.log(`   💧 Pompa Air: ${pompaAir ? 'ON' : 'OFF'}`);
+  console.log(`   🌿 Pompa Pupuk: ${pompaPupuk ? 'ON' : 'OFF'}`);
+  if (fertigasi) {
+    console.log(`   🧪 Fertigasi: premix ${fertigasi.premix_detik}s → pupuk ${fertigasi.pupuk_detik}s → flush ${fertigasi.flush_detik}s`);
+  }
+
+  // Sensor-aware gating: skip_if conditions, then drop pots whose soil is already wet
+  let potNumbers = potAktif;
+  const soilLimit = getSoilGateLimit(schedule);
+  if (soilLimit !== null || getSkipConditions(schedule).length > 0) {
+    let sensorData = null;
+    try {
+      sensorData = await readFirebaseSmart('data');
+    } catch (sensorError) {
+      console.warn(`   ⚠️ Failed to read sensor for skip rules: ${sensorError.message} - watering all pots`);
+    }
+
+    const skipReason = sensorData ? evaluateSkipConditions(schedule, sensorData) : null;
+    if (skipReason) {
+      console.log(`   🌧️  ${scheduleKey}: ${skipReason} - jadwal dilewati`);
+      await logSkippedHistory(scheduleKey, potAktif, skipReason, sensorData);
+      await disableOneShotSchedule(scheduleKey, schedule, skipReason);
+      return false;
+    }
+
+    if (sensorData && soilLimit !== null && potAktif.length > 0) {
+      const { pots, skipped } = filterWetPots(potAktif, sensorData, soilLimit);
+      skipped.forEach(p => console.log(`   💦 POT ${p.pot}: ${p.value}% >= ${soilLimit}% - sudah basah, skip`));
+
+      if (skipped.length > 0 && (!rutin || pots.length === 0)) {
+        await logSkippedHistory(scheduleKey, skipped.map(p => p.pot), `Tanah sudah basah (>= ${soilLimit}%)`, sensorData);
+      }
+
+      if (pots.length === 0) {
+        console.log(`   ⏭️  ${scheduleKey}: Semua pot sudah basah, jadwal dilewati`);
+        await disableOneShotSchedule(scheduleKey, schedule, `Tanah sudah basah (>= ${soilLimit}%)`);
+        return false;
+      }
+      // A routine runs its steps as a whole: only skipped when every pot is wet
+      potNumbers = rutin ? potAktif : pots;
+    }
+  }
+
+  // Overlap with schedule jobs still queued/running (on_conflict: queue | skip | merge)
+  try {
+    // Routines can't drop or absorb pots, volume targets, siklus pulses and fertigasi timings
+    // can't be combined - merge falls back to queueing
+    const noMerge = rutin || siklus || fertigasi || (schedule.volume_ml !== undefined && schedule.volume_ml !== null);
+    const policy = noMerge && schedule.on_conflict === 'merge' ? 'queue' : schedule.on_conflict || 'queue';
+    const resolution = await resolveScheduleConflict(jobKey, policy, {
+      potNumbers, pompaAir, pompaPupuk, duration: durasi,
+    });
+
+    if (resolution.action === 'skip') {
+      console.log(`   ⏭️  ${scheduleKey}: ${resolution.reason}`);
+      await logSkippedHistory(scheduleKey, potNumbers, resolution.reason);
+      await disableOneShotSchedule(scheduleKey, schedule, resolution.reason);
+      return false;
+    }
+
+    if (resolution.action === 'merged') {
+      console.log(`   🔗 ${scheduleKey}: ${resolution.reason}`);
+      await disableOneShotSchedule(scheduleKey, schedule);
+      return true;
+    }
+
+    if (resolution.potNumbers.length !== potNumbers.length) {
+      console.log(`   🔗 ${scheduleKey}: Pot [${potNumbers.filter(p => !resolution.potNumbers.includes(p)).join(', ')}] sudah disiram job lain, sisa: [${resolution.potNumbers.join(', ')}]`);
+    }
+    potNumbers = resolution.potNumbers;
+  } catch (conflictError) {
+    console.warn(`   ⚠️ Conflict check failed for ${scheduleKey}: ${conflictError.message} - queueing normally`);
+  }
+
+  const maxValveBersamaan = getMaxValveBersamaan(kontrolCache);
+  const volume = rutin ? null : buildVolumePlan(schedule, potNumbers, kontrolCache, budget);
+  if (volume) {
+    console.log(`   🚰 Volume: ${Object.entries(volume.target).map(([pot, ml]) => `pot ${pot} ${ml} ml`).join(', ')} (max ${durasi}s)`);
+  }
+  try {
+    await wateringQueue.add(
+      jobName,
+      {
+        type: jobType,
+        potNumbers: potNumbers,
+        pompaAir: pompaAir,
+        pompaPupuk: pompaPupuk,
+        duration: durasi,
+        baseDuration: durasiDasar,
+        budgetPersen: budget.persen,
+        ...(siklus && { siklus }),
+        ...(maxValveBersamaan && { maxValveBersamaan }),
+        ...(fertigasi && { fertigasi }),
+        ...(rutin && { rutin: { key: rutin.key, nama: rutin.nama, langkah: rutin.langkah } }),
+        ...(volume && { volume }),
+        scheduleId: jobKey,
+        ...(catchUp && { catchUp: true }),
+      },
+      {
+        jobId: jobKey,
+        removeOnComplete: true,
+      }
+    );
+    
+    console.log(`   ✅ Successfully added to queue: ${jobKey}`);
+    
+    await disableOneShotSchedule(scheduleKey, schedule);
+    
+    // Check queue status
+    const queueStatus = await wateringQueue.getJobCounts();
+    console.log(`   📊 Queue status: ${queueStatus.active} active, ${queueStatus.waiting} waiting`);
+    return true;
+  } catch (queueError) {
+    console.error(`   ❌ Failed to add ${scheduleKey} to queue:`, queueError.message);
+    await releaseTrigger(triggerKey); // Allow a retry (e.g. catch-up) to claim it again
+    return false;
+  }
+}
+
+// One-shot schedule: disable itself once its slot is used - queued, or skipped
+// (jeda, stop_darurat, skip rules, on_conflict). The skip reason is kept in `dilewati`.
+async function disableOneShotSchedule(scheduleKey, schedule, skipReason = null) {
+  if (schedule.sekali !== true) {
+    return;
+  }
+  try {
+    await updateFirebaseSmart(`${FIREBASE_PATHS.kontrol}/${scheduleKey}`, { aktif: false, dilewati: skipReason });
+    console.log(`   🔒 ${scheduleKey}: sekali=true → aktif set to false${skipReason ? ` (dilewati: ${skipReason})` : ''}`);
+  } catch (disableError) {
+    console.error(`   ⚠️ Failed to disable one-shot ${scheduleKey}:`, disableError.message);
+  }
+}
+
+// ==================== MISSED SCHEDULE CATCH-UP ====================
+
+// Last minute (epoch ms, floored) that checkScheduledWatering() fully processed.
+// Stored in Redis so it survives container restarts.
+const SCHEDULE_LAST_TICK_KEY = 'apsgo:schedule:last_tick';
+const MAX_CATCH_UP_MINUTES = 24 * 60; // Never look back more than 1 day
+
+function floorToMinute(ms) {
+  return Math.floor(ms / 60000) * 60000;
+}
+
+// catch_up: "skip" (default) | "run_once" | { within_minutes: N }. Returns null if invalid
+function getCatchUpPolicy(schedule) {
+  const catchUp = schedule.catch_up;
+  if (catchUp === undefined || catchUp === 'skip') {
+    return { mode: 'skip' };
+  }
+  if (catchUp === 'run_once') {
+    return { mode: 'run_once' };
+  }
+  if (catchUp && typeof catchUp === 'object') {
+    const minutes = Number(catchUp.within_minutes);
+    if (Number.isFinite(minutes) && minutes > 0) {
+      return { mode: 'within_minutes', minutes };
+    }
+  }
+  return null;
+}
+
+// Quiet version of the per-minute checks: would this schedule have fired at slotDate?
+function isScheduleDueAt(schedule, slotDate, lokasi) {
+  if (!schedule || typeof schedule !== 'object' || schedule.aktif === false) {
+    return false;
+  }
+  const resolvedWaktu = resolveScheduleWaktu(schedule.waktu, slotDate, lokasi);
+  if (!isScheduleTimeMatch(schedule, formatTimeKey(slotDate), resolvedWaktu)) {
+    return false;
+  }
+  return validateScheduleRules(schedule, lokasi).length === 0 && !checkScheduleRules(schedule, slotDate);
+}
+
+async function readLastScheduleTick() {
+  try {
+    const value = await redis.get(SCHEDULE_LAST_TICK_KEY);
+    return value ? parseInt(value) : null;
+  } catch (error) {
+    console.warn(`   ⚠️ Failed to read last schedule tick: ${error.message}`);
+    return null;
+  }
+}
+
+async function saveLastScheduleTick(minuteMs) {
+  try {
+    await redis.set(SCHEDULE_LAST_TICK_KEY, String(minuteMs));
+  } catch (error) {
+    console.warn(`   ⚠️ Failed to save last schedule tick: ${error.message}`);
+  }
+}
+
+// Enqueue schedules whose minute fell between lastTick and now (exclusive),
+// according to each schedule's catch_up policy. Only the latest missed slot
+// per schedule is considered, so a long outage never floods the queue.
+async function processMissedSchedules(entries, lokasi, lastTick, now) {
+  const currentMinute = floorToMinute(now.getTime());
+  if (!lastTick || currentMinute - lastTick <= 60000) {
+    return; // No gap
+  }
+
+  const from = Math.max(lastTick, currentMinute - MAX_CATCH_UP_MINUTES * 60000);
+  const gapMinutes = Math.round((currentMinute - lastTick) / 60000) - 1;
+  console.log(`\n⏪ SCHEDULE GAP DETECTED: ${gapMinutes} minute(s) not processed since ${new Date(lastTick).toLocaleString('id-ID')}`);
+
+  // Latest missed slot per schedule
+  const missed = {};
+  for (let t = from + 60000; t < currentMinute; t += 60000) {
+    const slotDate = new Date(t);
+    for (const scheduleKey of Object.keys(entries)) {
+      if (isScheduleDueAt(entries[scheduleKey].schedule, slotDate, lokasi)) {
+        missed[scheduleKey] = slotDate;
+      }
+    }
+  }
+
+  const missedKeys = Object.keys(missed);
+  if (missedKeys.length === 0) {
+    console.log('   ✅ No schedules missed during the gap');
+    return;
+  }
+
+  for (const scheduleKey of missedKeys) {
+    const { schedule, jobName, jobType } = entries[scheduleKey];
+    const slotDate = missed[scheduleKey];
+    const ageMinutes = Math.round((currentMinute - slotDate.getTime()) / 60000);
+    const policy = getCatchUpPolicy(schedule);
+    const slotLabel = `${formatDateKey(slotDate)} ${formatTimeKey(slotDate)}`;
+
+    if (!policy || policy.mode === 'skip') {
+      console.log(`   ⏭️  ${scheduleKey}: missed ${slotLabel} (${ageMinutes}m ago) - catch_up=skip`);
+      continue;
+    }
+
+    if (policy.mode === 'within_minutes' && ageMinutes > policy.minutes) {
+      console.log(`   ⏭️  ${scheduleKey}: missed ${slotLabel} (${ageMinutes}m ago) - older than within_minutes=${policy.minutes}`);
+      continue;
+    }
+
+    console.log(`   🔁 ${scheduleKey}: missed ${slotLabel} (${ageMinutes}m ago) - catching up (${policy.mode})`);
+    await enqueueScheduleJob(scheduleKey, schedule, slotDate, { catchUp: true, jobName, jobType });
+  }
+}
+
+// ==================== SCHEDULE TIMERS ====================
+
+// Latest /kontrol_1 snapshot. Updated by the realtime listener and the
+// periodic sync, so firing a schedule never needs its own Firebase read.
+let kontrolCache = null;
+let kontrolCacheJson = undefined;
+
+// timerKey (jadwal_N / legacy_jadwal_N) → { timeout, nextRun }
+const scheduleTimers = {};
+let scheduleTickTimeout = null;
+
+const SCHEDULE_LOOKAHEAD_MINUTES = 8 * 24 * 60; // > 1 minggu, cukup untuk jadwal per hari
+
+// All time-based schedules in the config, keyed by timer key. Legacy
+// waktu_1/waktu_2 become pseudo schedules that keep their original job name/type.
+function collectScheduleEntries(kontrolConfig) {
+  const entries = {};
+  if (!kontrolConfig) {
+    return entries;
+  }
+
+  Object.keys(kontrolConfig)
+    .filter(key => key.startsWith('jadwal_'))
+    .forEach(key => {
+      entries[key] = { schedule: kontrolConfig[key] };
+    });
+
+  // LEGACY SUPPORT: old format (waktu_1, waktu_2) untuk backward compatibility
+  for (const index of [1, 2]) {
+    const waktu = kontrolConfig[`waktu_${index}`];
+    if (waktu) {
+      entries[`legacy_jadwal_${index}`] = {
+        schedule: {
+          waktu,
+          durasi: kontrolConfig[`durasi_${index}`] || 60,
+          pot_aktif: [1, 2, 3, 4, 5], // All pots
+          pompa_air: true,
+          pompa_pupuk: true,
+        },
+        jobName: `schedule-${index}`,
+        jobType: `waktu_jadwal_${index}`,
+      };
     }
   }
+
+  return entries;
 }
 
-// Helper: Update Firebase via REST API (PATCH for merge update)
-async function updateFirebaseViaREST(path, updates) {
-  const url = `${config.firebase.databaseURL}/${path}.json`;
-  console.log(`   [DEBUG] REST API PATCH: ${url}`);
-  
-  const response = await fetchWithTimeout2(url, {
-    method: 'PATCH',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(updates)
-  }, 8000);
-  
-  if (!response.ok) {
-    throw new Error(`REST PATCH failed: ${response.status}`);
+// First minute strictly after afterMs at which the schedule is due (null if none within lookahead)
+function computeNextScheduleRun(schedule, afterMs, lokasi) {
+  const start = floorToMinute(afterMs) + 60000;
+  for (let i = 0; i < SCHEDULE_LOOKAHEAD_MINUTES; i++) {
+    const slotDate = new Date(start + i * 60000);
+    if (isScheduleDueAt(schedule, slotDate, lokasi)) {
+      return slotDate;
+    }
   }
-  
-  const result = await response.json();
-  console.log('   [DEBUG] REST API update successful!');
-  return result;
+  return null;
 }
 
-// Helper: Update with timeout wrapper
-async function updateWithTimeout(ref, updates, timeoutMs = 5000) {
-  return Promise.race([
-    ref.update(updates),
-    new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Firebase update timeout')), timeoutMs)
-    )
-  ]);
+function clearScheduleTimers() {
+  for (const timerKey of Object.keys(scheduleTimers)) {
+    clearTimeout(scheduleTimers[timerKey].timeout);
+    delete scheduleTimers[timerKey];
+  }
 }
 
-// Smart update: Try SDK first, fallback to REST if timeout
-async function updateFirebaseSmart(path, updates) {
-  const updateStr = JSON.stringify(updates);
-  console.log(`   [UPDATE START] Path: ${path}, Data: ${updateStr}`);
-  
-  // If SDK is consistently failing, skip it for updates too
-  const shouldSkipSDK = consecutiveFirebaseErrors >= SKIP_SDK_THRESHOLD;
-  
-  if (shouldSkipSDK) {
-    console.log(`   [UPDATE] Using REST API directly (SDK disabled)`);
-    try {
-      await updateFirebaseViaREST(path, updates);
-      console.log(`   ✅ [UPDATE] REST API successful!`);
-      return true;
-    } catch (restError) {
-      console.error(`   ❌ [UPDATE] REST failed: ${restError.message}`);
-      throw new Error('REST update failed');
-    }
+function armScheduleTimer(timerKey, entry, afterMs) {
+  const schedule = entry?.schedule;
+  if (!schedule || typeof schedule !== 'object') {
+    console.log(`   ⚠️  ${timerKey}: Invalid structure, skipping`);
+    return;
   }
-  
-  try {
-    console.log(`   [UPDATE] Step 1: Attempting SDK update...`);
-    await updateWithTimeout(db.ref(path), updates, 5000);
-    console.log(`   ✅ [UPDATE] Step 2: SDK update successful!`);
-    return true;
-  } catch (sdkError) {
-    console.warn(`   ⚠️  [UPDATE] Step 2: SDK failed (${sdkError.message}), trying REST API...`);
-    
-    try {
-      console.log(`   [UPDATE] Step 3: Attempting REST API...`);
-      await updateFirebaseViaREST(path, updates);
-      console.log(`   ✅ [UPDATE] Step 4: REST API successful!`);
-      return true;
-    } catch (restError) {
-      console.error(`   ❌ [UPDATE] Step 4: REST failed (${restError.message}) - BOTH METHODS FAILED!`);
-      throw new Error('Both SDK and REST update failed');
-    }
+  if (schedule.aktif === false) {
+    return; // Skip disabled schedules
+  }
+
+  const ruleErrors = validateScheduleRules(schedule, kontrolCache?.lokasi);
+  if (ruleErrors.length > 0) {
+    console.log(`   ⚠️  ${timerKey}: Invalid rules (${ruleErrors.join('; ')}), skipping`);
+    return;
+  }
+
+  const nextRun = computeNextScheduleRun(schedule, afterMs, kontrolCache?.lokasi);
+  if (!nextRun) {
+    console.log(`   💤 ${timerKey}: no run in the next ${SCHEDULE_LOOKAHEAD_MINUTES / 1440} days`);
+    return;
   }
+
+  const timeout = setTimeout(() => fireScheduleTimer(timerKey, nextRun), Math.max(0, nextRun.getTime() - Date.now()));
+  scheduleTimers[timerKey] = { timeout, nextRun };
+  console.log(`   ⏰ ${timerKey}: next run ${formatDateKey(nextRun)} ${formatTimeKey(nextRun)}`);
 }
 
-// Helper: Set Firebase via REST API (PUT for overwrite)
-async function setFirebaseViaREST(path, data) {
-  const url = `${config.firebase.databaseURL}/${path}.json`;
-  
-  const response = await fetchWithTimeout2(url, {
-    method: 'PUT',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(data)
-  }, 8000);
-  
-  if (!response.ok) {
-    throw new Error(`REST PUT failed: ${response.status}`);
+// Clear and re-create every schedule timer from kontrolCache
+function rebuildScheduleTimers() {
+  clearScheduleTimers();
+
+  if (!kontrolCache || !kontrolCache.waktu) {
+    console.log('   ⏸️  Waktu mode disabled - no schedule timers armed');
+    publishScheduleWarnings([]).catch(error => console.error('❌ Failed to publish schedule warnings:', error.message));
+    publishNextRuns();
+    return;
   }
-  
-  return await response.json();
+
+  // Start one minute back so a schedule for the current minute still fires
+  const afterMs = floorToMinute(Date.now()) - 60000;
+  const entries = collectScheduleEntries(kontrolCache);
+  for (const timerKey of Object.keys(entries)) {
+    armScheduleTimer(timerKey, entries[timerKey], afterMs);
+  }
+  console.log(`   ✅ ${Object.keys(scheduleTimers).length} schedule timer(s) armed`);
+
+  const conflicts = analyzeScheduleConflicts(entries, kontrolCache.lokasi, Date.now());
+  publishScheduleWarnings(conflicts).catch(error => console.error('❌ Failed to publish schedule warnings:', error.message));
+  publishNextRuns();
 }
 
-// Helper: Set with timeout wrapper
-async function setWithTimeout(ref, data, timeoutMs = 5000) {
-  return Promise.race([
-    ref.set(data),
-    new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Firebase set timeout')), timeoutMs)
-    )
-  ]);
+// Watering seconds shown in the preview (budget and rutin_N applied)
+function previewDurasi(schedule, kontrolConfig, runDate) {
+  const budget = getWaterBudget(kontrolConfig, runDate);
+  if (schedule.rutin !== undefined) {
+    return resolveRutin(kontrolConfig, schedule.rutin, budget).totalDetik ?? null;
+  }
+  return applyWaterBudget(schedule.durasi || 60, budget);
 }
 
-// Smart set: Try SDK first, fallback to REST if timeout
-async function setFirebaseSmart(path, data) {
-  const dataStr = JSON.stringify(data);
-  console.log(`   [SET START] Path: ${path}, Data: ${dataStr.substring(0,100)}...`);
-  
-  // If SDK is consistently failing, skip it
-  const shouldSkipSDK = consecutiveFirebaseErrors >= SKIP_SDK_THRESHOLD;
-  
-  if (shouldSkipSDK) {
-    console.log(`   [SET] Using REST API directly (SDK disabled)`);
-    try {
-      await setFirebaseViaREST(path, data);
-      console.log(`   ✅ [SET] REST API successful!`);
-      return true;
-    } catch (restError) {
-      console.error(`   ❌ [SET] REST failed: ${restError.message}`);
-      throw new Error('REST set failed');
+// Next firing times of every schedule for the mobile app → /status/next_runs
+function buildNextRunsPreview(kontrolConfig, fromMs) {
+  const jadwal = {};
+  const modeWaktu = !!kontrolConfig?.waktu;
+  const entries = collectScheduleEntries(kontrolConfig);
+
+  for (const [scheduleKey, { schedule }] of Object.entries(entries)) {
+    if (!schedule || typeof schedule !== 'object') {
+      continue;
+    }
+
+    const aktif = schedule.aktif !== false;
+    const errors = validateScheduleRules(schedule, kontrolConfig.lokasi);
+    const runs = [];
+
+    if (modeWaktu && aktif && errors.length === 0) {
+      let afterMs = fromMs;
+      for (let i = 0; i < config.worker.nextRunsCount; i++) {
+        const nextRun = computeNextScheduleRun(schedule, afterMs, kontrolConfig.lokasi);
+        if (!nextRun) break;
+        runs.push({
+          waktu: `${formatDateKey(nextRun)} ${formatTimeKey(nextRun)}`,
+          timestamp: nextRun.getTime(),
+          durasi: previewDurasi(schedule, kontrolConfig, nextRun),
+          pots: schedule.rutin !== undefined ? resolveRutin(kontrolConfig, schedule.rutin, null).pots || [] : schedule.pot_aktif || [],
+          ...(getActivePause(kontrolConfig.jeda, 'waktu', nextRun) && { dijeda: true }),
+        });
+        afterMs = nextRun.getTime();
+      }
     }
+
+    jadwal[scheduleKey] = {
+      aktif,
+      waktu: describeScheduleTime(schedule, resolveScheduleWaktu(schedule.waktu, new Date(fromMs), kontrolConfig.lokasi)),
+      runs,
+      ...(errors.length > 0 && { errors }),
+    };
+  }
+
+  return {
+    updated_at: Date.now(),
+    timezone: process.env.TZ,
+    mode_waktu: modeWaktu,
+    jadwal,
+  };
+}
+
+async function publishNextRuns() {
+  if (!kontrolCache) {
+    return;
   }
-  
   try {
-    console.log(`   [SET] Step 1: Attempting SDK set...`);
-    await setWithTimeout(db.ref(path), data, 5000);
-    console.log(`   ✅ [SET] Step 2: SDK set successful!`);
-    return true;
-  } catch (sdkError) {
-    console.warn(`   ⚠️  [SET] Step 2: SDK failed (${sdkError.message}), trying REST API...`);
-    try {
-      console.log(`   [SET] Step 3: Attempting REST API...`);
-      await setFirebaseViaREST(path, data);
-      console.log(`   ✅ [SET] Step 4: REST API successful!`);
-      return true;
-    } catch (restError) {
-      console.error(`   ❌ [SET] Step 4: REST failed - BOTH METHODS FAILED!`);
-      throw new Error('Both SDK and REST set failed');
-    }
+    // Include the current minute, same as rebuildScheduleTimers()
+    const preview = buildNextRunsPreview(kontrolCache, floorToMinute(Date.now()) - 60000);
+    await setFirebaseSmart(`${FIREBASE_PATHS.status}/next_runs`, preview);
+    console.log(`   📱 Next runs published to /${FIREBASE_PATHS.status}/next_runs (${Object.keys(preview.jadwal).length} jadwal)`);
+  } catch (error) {
+    console.error('❌ Failed to publish next runs:', error.message);
   }
 }
 
-// Smart read: Try SDK first, fallback to REST if timeout (for any path)
-async function readFirebaseSmart(path) {
-  const shouldSkipSDK = consecutiveFirebaseErrors >= SKIP_SDK_THRESHOLD;
-  
-  if (shouldSkipSDK) {
-    console.log('   [READ] Using REST API directly (SDK disabled)');
-    const url = `${config.firebase.databaseURL}/${path}.json`;
-    const response = await fetchWithTimeout2(url, {
-      method: 'GET',
-      headers: { 'Content-Type': 'application/json' }
-    }, 8000);
-    
-    if (!response.ok) {
-      throw new Error(`REST GET failed: ${response.status}`);
+async function fireScheduleTimer(timerKey, slotDate) {
+  // Node timers may fire a millisecond early - never run before the boundary
+  if (Date.now() < slotDate.getTime()) {
+    if (scheduleTimers[timerKey]?.nextRun === slotDate) {
+      scheduleTimers[timerKey].timeout = setTimeout(() => fireScheduleTimer(timerKey, slotDate), slotDate.getTime() - Date.now());
     }
-    
-    return await response.json();
+    return;
   }
-  
+
+  if (scheduleTimers[timerKey]?.nextRun === slotDate) {
+    delete scheduleTimers[timerKey];
+  }
+
+  const entry = collectScheduleEntries(kontrolCache)[timerKey];
   try {
-    const snapshot = await fetchWithTimeout(db.ref(path), 5000);
-    return snapshot.val();
-  } catch (sdkError) {
-    const url = `${config.firebase.databaseURL}/${path}.json`;
-    const response = await fetchWithTimeout2(url, {
-      method: 'GET',
-      headers: { 'Content-Type': 'application/json' }
-    }, 8000);
-    
-    if (!response.ok) {
-      throw new Error(`REST GET failed: ${response.status}`);
+    if (!entry || !kontrolCache?.waktu) {
+      return; // Removed or waktu mode turned off since the timer was armed
     }
-    
-    return await response.json();
+
+    const lateMs = Date.now() - slotDate.getTime();
+    if (lateMs >= 60000) {
+      // Event loop was blocked/suspended: the schedule tick handles it via catch_up
+      console.log(`   ⏪ ${timerKey}: timer fired ${Math.round(lateMs / 1000)}s late - left to catch-up policy`);
+    } else if (isScheduleDueAt(entry.schedule, slotDate, kontrolCache.lokasi)) {
+      await enqueueScheduleJob(timerKey, entry.schedule, slotDate, { jobName: entry.jobName, jobType: entry.jobType });
+    }
+  } catch (error) {
+    console.error(`❌ Error firing schedule ${timerKey}:`, error.message);
+  } finally {
+    // Re-arm from this slot with the latest config (unless a rebuild already did)
+    const latestEntry = collectScheduleEntries(kontrolCache)[timerKey];
+    if (isLeader && latestEntry && kontrolCache?.waktu && !scheduleTimers[timerKey]) {
+      armScheduleTimer(timerKey, latestEntry, slotDate.getTime());
+      publishNextRuns(); // Drop the slot that just fired from the preview
+    }
+  }
+}
+
+// Store a new /kontrol snapshot; rebuild timers only if it actually changed
+function applyKontrolConfig(kontrolConfig, source) {
+  if (!isLeader) {
+    return; // Late listener/sync result after stepping down
+  }
+
+  // Ignore worker-written "_" nodes (e.g. _warnings) so they don't trigger rebuilds
+  const json = JSON.stringify(kontrolConfig ?? null, (key, value) => key.startsWith('_') ? undefined : value);
+  if (json !== kontrolCacheJson) {
+    const isFirstLoad = kontrolCacheJson === undefined;
+    kontrolCache = kontrolConfig;
+    kontrolCacheJson = json;
+    console.log(`\n🔄 Kontrol config ${isFirstLoad ? 'loaded' : 'changed'} (${source}) - rebuilding schedule timers`);
+    rebuildScheduleTimers();
+  }
+
+  // Start the tick only once a config is known, so the first tick can catch up
+  startScheduleTicker();
+}
+
+// Minute-aligned tick: persists the last processed minute in Redis and runs
+// catch-up when a gap is detected. Does not read Firebase.
+async function processScheduleTick() {
+  const now = new Date();
+  const lastTick = await readLastScheduleTick();
+
+  // Advance the persisted tick even when waktu mode is off, so enabling it
+  // later does not replay schedules from the disabled period
+  await saveLastScheduleTick(floorToMinute(now.getTime()));
+
+  if (kontrolCache?.waktu) {
+    await processMissedSchedules(collectScheduleEntries(kontrolCache), kontrolCache.lokasi, lastTick, now);
+  }
+
+  await clearExpiredPause(kontrolCache);
+}
+
+function startScheduleTicker() {
+  if (scheduleTickTimeout) {
+    return;
   }
+
+  const runTick = async () => {
+    try {
+      await processScheduleTick();
+    } catch (error) {
+      console.error('❌ Error in schedule tick:', error.message);
+    }
+    if (!scheduleTickTimeout) {
+      return; // Stopped by stopWaktuScheduler() while this tick was running
+    }
+    scheduleTickTimeout = setTimeout(runTick, 60000 - (Date.now() % 60000));
+  };
+
+  scheduleTickTimeout = setTimeout(runTick, 0);
+  console.log('✅ Schedule tick started (minute-aligned, catch-up on gaps)');
 }
 
+// Periodic sync: fetch /kontrol (SDK + REST fallback), log the schedule summary
+// and rebuild timers if the listener missed a change
 async function checkScheduledWatering() {
   checkCounter++;
   console.log(`\n🔎 [DEBUG] checkScheduledWatering() called - Counter: ${checkCounter}`);
@@ -637,195 +3468,69 @@ async function checkScheduledWatering() {
     }
 
     const now = new Date();
-    const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
+    const currentTime = formatTimeKey(now);
     const currentSeconds = now.getSeconds();
-    const dateKey = `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}-${now.getDate().toString().padStart(2, '0')}`;
+    const dateKey = formatDateKey(now);
+    
+    // Rebuild timers first so the summary shows the up-to-date next runs
+    applyKontrolConfig(kontrolConfig, 'sync');
     
-    // 🔍 VERBOSE LOG: Log setiap check untuk memastikan fungsi berjalan
-    console.log(`\n⏱️  CHECK #${checkCounter}: ${currentTime}:${currentSeconds.toString().padStart(2, '0')} | Mode: ${kontrolConfig?.waktu ? '✅' : '❌'}`);
+    // 🔍 VERBOSE LOG: Log setiap sync untuk memastikan fungsi berjalan
+    console.log(`\n⏱️  SYNC #${checkCounter}: ${currentTime}:${currentSeconds.toString().padStart(2, '0')} | Mode: ${kontrolConfig?.waktu ? '✅' : '❌'}`);
     
     // Detect all schedules (jadwal_1, jadwal_2, jadwal_3, ...)
     const allSchedules = kontrolConfig ? Object.keys(kontrolConfig).filter(key => key.startsWith('jadwal_')) : [];
     
-    // Log detail setiap 3 menit ATAU jika menit habis dibagi 5
-    if (checkCounter % 3 === 0 || now.getMinutes() % 5 === 0) {
-      console.log(`   📅 Date: ${dateKey}`);
-      console.log(`   🕐 Current: ${currentTime} (${now.toLocaleString('id-ID', {timeZone: 'Asia/Jakarta'})})`);
-      console.log(`   Mode Waktu: ${kontrolConfig?.waktu ? '✅ ENABLED' : '❌ DISABLED'}`);
-      console.log(`   📊 API Stats: SDK=${sdkSuccessCount} | REST=${restFallbackCount} | Errors=${consecutiveFirebaseErrors}`);
-      console.log(`   📋 Total Jadwal: ${allSchedules.length}`);
-      
-      if (kontrolConfig?.waktu && allSchedules.length > 0) {
-        allSchedules.forEach(scheduleKey => {
-          const schedule = kontrolConfig[scheduleKey];
-          if (schedule && typeof schedule === 'object') {
-            const isActive = schedule.aktif !== false; // Default true if not specified
-            const waktu = schedule.waktu || 'not set';
-            const potAktif = schedule.pot_aktif || [];
-            const isMatch = waktu === currentTime;
-            console.log(`   ${isActive ? '✅' : '❌'} ${scheduleKey}: ${waktu} → Pot [${potAktif.join(', ')}] ${isMatch ? '🔔 MATCH!' : ''}`);
-          }
-        });
-      }
-      
-      // Legacy support: Log old format if exists
-      if (kontrolConfig?.waktu_1 || kontrolConfig?.waktu_2) {
-        console.log(`   [LEGACY] waktu_1: ${kontrolConfig.waktu_1 || 'not set'}`);
-        console.log(`   [LEGACY] waktu_2: ${kontrolConfig.waktu_2 || 'not set'}`);
-      }
-    }
-
-    if (!kontrolConfig || !kontrolConfig.waktu) {
-      // Waktu mode disabled
-      console.log(`   [DEBUG] Exiting early - kontrolConfig: ${kontrolConfig ? 'exists' : 'null'}, waktu: ${kontrolConfig?.waktu}`);
-      return;
-    }
-
-    // NEW: Dynamic schedule checking - supports jadwal_1, jadwal_2, ... jadwal_N
-    for (const scheduleKey of allSchedules) {
-      const schedule = kontrolConfig[scheduleKey];
-      
-      // Validate schedule structure
-      if (!schedule || typeof schedule !== 'object') {
-        console.log(`   ⚠️  ${scheduleKey}: Invalid structure, skipping`);
-        continue;
-      }
-      
-      // Check if schedule is active (default: true if not specified)
-      const isActive = schedule.aktif !== false;
-      if (!isActive) {
-        continue; // Skip disabled schedules
-      }
-      
-      // Check if time matches
-      const scheduleWaktu = schedule.waktu;
-      if (!scheduleWaktu || scheduleWaktu !== currentTime) {
-        continue; // Not time yet
-      }
-      
-      // Extract schedule config
-      const potAktif = schedule.pot_aktif || [];
-      const durasi = schedule.durasi || 60;
-      const pompaAir = schedule.pompa_air !== false; // Default true
-      const pompaPupuk = schedule.pompa_pupuk || false; // Default false
-      
-      // Validate pot_aktif
-      if (!Array.isArray(potAktif) || potAktif.length === 0) {
-        console.log(`   ⚠️  ${scheduleKey}: No active pots defined, skipping`);
-        continue;
-      }
-      
-      // Create unique job key
-      const jobKey = `${scheduleKey}_${dateKey}_${currentTime.replace(':', '_')}`;
-      
-      if (!lastScheduleCheck[jobKey]) {
-        console.log(`\n🕐 ${scheduleKey.toUpperCase()} TRIGGERED: ${currentTime}`);
-        console.log(`   🎯 Pot aktif: [${potAktif.join(', ')}]`);
-        console.log(`   ⏱️  Durasi: ${durasi}s`);
-        console.log(`   💧 Pompa Air: ${pompaAir ? 'ON' : 'OFF'}`);
-        console.log(`   🌿 Pompa Pupuk: ${pompaPupuk ? 'ON' : 'OFF'}`);
-
-        try {
-          await wateringQueue.add(
-            scheduleKey,
-            {
-              type: `waktu_${scheduleKey}`,
-              potNumbers: potAktif,
-              pompaAir: pompaAir,
-              pompaPupuk: pompaPupuk,
-              duration: durasi,
-              scheduleId: jobKey,
-            },
-            {
-              jobId: jobKey,
-              removeOnComplete: true,
-            }
-          );
-          
-          lastScheduleCheck[jobKey] = true;
-          console.log(`   ✅ Successfully added to queue: ${jobKey}`);
-          
-          // Check queue status
-          const queueStatus = await wateringQueue.getJobCounts();
-          console.log(`   📊 Queue status: ${queueStatus.active} active, ${queueStatus.waiting} waiting`);
-        } catch (queueError) {
-          console.error(`   ❌ Failed to add ${scheduleKey} to queue:`, queueError.message);
-        }
-      } else {
-        console.log(`   ⏭️  ${scheduleKey} already triggered: ${jobKey}`);
-      }
+    console.log(`   📅 Date: ${dateKey}`);
+    console.log(`   🕐 Current: ${currentTime} (${now.toLocaleString('id-ID', {timeZone: 'Asia/Jakarta'})})`);
+    console.log(`   Mode Waktu: ${kontrolConfig?.waktu ? '✅ ENABLED' : '❌ DISABLED'}`);
+    console.log(`   📊 API Stats: SDK=${sdkSuccessCount} | REST=${restFallbackCount} | Errors=${consecutiveFirebaseErrors}`);
+    console.log(`   📋 Total Jadwal: ${allSchedules.length} | Timers armed: ${Object.keys(scheduleTimers).length}`);
+    
+    const pause = getActivePause(kontrolConfig?.jeda, 'waktu', now) || getActivePause(kontrolConfig?.jeda, 'otomatis', now);
+    if (pause) {
+      console.log(`   ⏸️  JEDA aktif sampai ${pause.label} (mode: ${pause.mode})`);
     }
     
-    // LEGACY SUPPORT: Check old format (waktu_1, waktu_2) untuk backward compatibility
-    if (kontrolConfig.waktu_1 && kontrolConfig.waktu_1 === currentTime) {
-      const scheduleKey = `legacy_jadwal_1_${dateKey}_${currentTime.replace(':', '_')}`;
-
-      if (!lastScheduleCheck[scheduleKey]) {
-        console.log(`\n🕐 [LEGACY] JADWAL 1 TRIGGERED: ${currentTime}`);
-        console.log(`   🎯 Using legacy format (all pots)`);
-
-        try {
-          await wateringQueue.add(
-            'schedule-1',
-            {
-              type: 'waktu_jadwal_1',
-              potNumbers: [1, 2, 3, 4, 5], // All pots
-              pompaAir: true,
-              pompaPupuk: true,
-              duration: kontrolConfig.durasi_1 || 60,
-              scheduleId: scheduleKey,
-            },
-            {
-              jobId: scheduleKey,
-              removeOnComplete: true,
-            }
-          );
-          
-          lastScheduleCheck[scheduleKey] = true;
-          console.log(`   ✅ Successfully added legacy jadwal_1 to queue`);
-        } catch (queueError) {
-          console.error(`   ❌ Failed to add legacy jadwal_1:`, queueError.message);
-        }
+    const budget = getWaterBudget(kontrolConfig, now);
+    if (budget.persen !== 100) {
+      console.log(`   💧 Budget air: ${budget.persen}% (${budget.sumber})`);
+    }
+    
+    const lokasi = parseLokasi(kontrolConfig?.lokasi);
+    if (lokasi) {
+      const sunTimes = calculateSunTimes(now, lokasi.latitude, lokasi.longitude);
+      if (sunTimes) {
+        console.log(`   🌅 Sunrise: ${formatTimeKey(sunTimes.sunrise)} | 🌇 Sunset: ${formatTimeKey(sunTimes.sunset)} (${lokasi.latitude}, ${lokasi.longitude})`);
       }
     }
-
-    if (kontrolConfig.waktu_2 && kontrolConfig.waktu_2 === currentTime) {
-      const scheduleKey = `legacy_jadwal_2_${dateKey}_${currentTime.replace(':', '_')}`;
-
-      if (!lastScheduleCheck[scheduleKey]) {
-        console.log(`\n🕑 [LEGACY] JADWAL 2 TRIGGERED: ${currentTime}`);
-        console.log(`   🎯 Using legacy format (all pots)`);
-
-        try {
-          await wateringQueue.add(
-            'schedule-2',
-            {
-              type: 'waktu_jadwal_2',
-              potNumbers: [1, 2, 3, 4, 5], // All pots
-              pompaAir: true,
-              pompaPupuk: true,
-              duration: kontrolConfig.durasi_2 || 60,
-              scheduleId: scheduleKey,
-            },
-            {
-              jobId: scheduleKey,
-              removeOnComplete: true,
-            }
-          );
-
-          lastScheduleCheck[scheduleKey] = true;
-          console.log(`   ✅ Successfully added legacy jadwal_2 to queue`);
-        } catch (queueError) {
-          console.error(`   ❌ Failed to add legacy jadwal_2:`, queueError.message);
+    
+    if (kontrolConfig?.waktu && allSchedules.length > 0) {
+      allSchedules.forEach(scheduleKey => {
+        const schedule = kontrolConfig[scheduleKey];
+        if (schedule && typeof schedule === 'object') {
+          const isActive = schedule.aktif !== false; // Default true if not specified
+          const resolvedWaktu = resolveScheduleWaktu(schedule.waktu, now, kontrolConfig.lokasi);
+          const waktu = describeScheduleTime(schedule, resolvedWaktu);
+          const potAktif = schedule.pot_aktif || [];
+          const ruleErrors = validateScheduleRules(schedule, kontrolConfig.lokasi);
+          const skipReason = ruleErrors.length > 0 ? null : checkScheduleRules(schedule, now);
+          const nextRun = scheduleTimers[scheduleKey]?.nextRun;
+          const nextLabel = nextRun ? `⏭️  next: ${formatDateKey(nextRun)} ${formatTimeKey(nextRun)}` : '';
+          console.log(`   ${isActive ? '✅' : '❌'} ${scheduleKey}: ${waktu} → Pot [${potAktif.join(', ')}] ${describeScheduleRules(schedule)} ${nextLabel}`);
+          if (ruleErrors.length > 0) {
+            console.log(`      ⚠️  Invalid: ${ruleErrors.join('; ')}`);
+          } else if (skipReason && isActive) {
+            console.log(`      💤 Hari ini dilewati: ${skipReason}`);
+          }
         }
-      }
+      });
     }
-
-    // Cleanup old schedule checks (> 2 menit)
-    const twoMinutesAgo = Date.now() - 120000;
-    for (const key in lastScheduleCheck) {
-      if (key.includes(dateKey)) continue; // Keep today's
-      delete lastScheduleCheck[key];
+    
+    // Legacy support: Log old format if exists
+    if (kontrolConfig?.waktu_1 || kontrolConfig?.waktu_2) {
+      console.log(`   [LEGACY] waktu_1: ${kontrolConfig.waktu_1 || 'not set'}`);
+      console.log(`   [LEGACY] waktu_2: ${kontrolConfig.waktu_2 || 'not set'}`);
     }
   } catch (error) {
     console.error('❌ Error checking scheduled watering:', error.message);
@@ -844,30 +3549,69 @@ async function checkScheduledWatering() {
   }
 }
 
-// Run check setiap 60 detik
-setInterval(async () => {
+// Leader-only handles, so the scheduler can be stopped on step-down
+let kontrolListener = null;
+let scheduleSyncIntervalId = null;
+let firstScheduleSyncTimeout = null;
+
+// Realtime listener: rebuild schedule timers as soon as /kontrol changes
+function setupKontrolListener() {
   try {
-    await checkScheduledWatering();
+    kontrolListener = db.ref(FIREBASE_PATHS.kontrol).on('value', (snapshot) => {
+      applyKontrolConfig(snapshot.val(), 'listener');
+    }, (error) => {
+      console.error('❌ Kontrol listener error:', error.message);
+    });
+    console.log('✅ Kontrol listener attached (schedule timers rebuild on change)');
   } catch (error) {
-    console.error('❌ Error in scheduled check interval:', error.message);
-    console.error(error.stack);
+    console.log('⚠️  Kontrol listener failed to attach (will rely on periodic sync)');
   }
-}, config.worker.checkInterval);
-console.log(`✅ Waktu Mode scheduler started (check every ${config.worker.checkInterval / 1000}s)`);
+}
 
-// Jalankan check pertama kali setelah 8 detik (setelah diagnostic selesai)
-setTimeout(async () => {
-  try {
-    console.log('\n🚀 Running first schedule check immediately...');
-    console.log('[DEBUG] About to call checkScheduledWatering()...');
-    await checkScheduledWatering();
-    console.log('[DEBUG] checkScheduledWatering() returned');
-    console.log('✅ First check completed successfully');
-  } catch (error) {
-    console.error('❌ First check failed:', error.message);
-    console.error('[DEBUG] Error stack:', error.stack);
+function startWaktuScheduler() {
+  setupKontrolListener();
+
+  // Fallback sync setiap 5 menit (jika listener SDK tidak jalan)
+  scheduleSyncIntervalId = setInterval(async () => {
+    try {
+      await checkScheduledWatering();
+    } catch (error) {
+      console.error('❌ Error in schedule sync interval:', error.message);
+      console.error(error.stack);
+    }
+  }, config.worker.scheduleSyncInterval);
+  console.log(`✅ Waktu Mode scheduler started (timers per jadwal, sync every ${config.worker.scheduleSyncInterval / 1000}s)`);
+
+  // Jalankan sync pertama kali setelah 8 detik (setelah diagnostic selesai)
+  firstScheduleSyncTimeout = setTimeout(async () => {
+    try {
+      console.log('\n🚀 Running first schedule sync...');
+      await checkScheduledWatering();
+      console.log('✅ First sync completed successfully');
+    } catch (error) {
+      console.error('❌ First sync failed:', error.message);
+      console.error('[DEBUG] Error stack:', error.stack);
+    }
+  }, 8000);
+}
+
+function stopWaktuScheduler() {
+  if (kontrolListener) {
+    db.ref(FIREBASE_PATHS.kontrol).off('value', kontrolListener);
+    kontrolListener = null;
   }
-}, 8000);
+  clearInterval(scheduleSyncIntervalId);
+  clearTimeout(firstScheduleSyncTimeout);
+  clearTimeout(scheduleTickTimeout);
+  scheduleTickTimeout = null;
+  clearScheduleTimers();
+
+  // Force a full rebuild if this instance becomes leader again
+  kontrolCache = null;
+  kontrolCacheJson = undefined;
+  lastWarningsJson = null;
+  console.log('⏹️  Waktu Mode scheduler stopped');
+}
 
 // ==================== SENSOR MODE (THRESHOLD MONITORING) ====================
 
@@ -902,6 +3646,22 @@ async function checkSensorThresholds() {
       return;
     }
 
+    if (kontrolConfig.stop_darurat === true) {
+      if (sensorCheckCounter % 10 === 0) {
+        console.log('🛑 Sensor mode BLOCKED (stop_darurat=true). Skipping threshold check.');
+      }
+      return;
+    }
+
+    // Vacation / pause mode - resumes by itself once jeda.sampai has passed
+    const pause = getActivePause(kontrolConfig.jeda, 'otomatis');
+    if (pause) {
+      if (sensorCheckCounter % 10 === 0) {
+        console.log(`⏸️  Sensor mode PAUSED until ${pause.label} (jeda mode: ${pause.mode}). Skipping threshold check.`);
+      }
+      return;
+    }
+
     // Detect all threshold_* nodes
     const allThresholds = Object.keys(kontrolConfig).filter(key => key.startsWith('threshold_'));
 
@@ -927,21 +3687,25 @@ async function checkSensorThresholds() {
         continue;
       }
 
-      // Check THRESHOLD cooldown (not per-pot!)
-      const lastTime = lastThresholdTime[thresholdKey];
-      if (lastTime && Date.now() - lastTime < config.worker.sensorDebounce) {
-        const remainingSeconds = Math.ceil((config.worker.sensorDebounce - (Date.now() - lastTime)) / 1000);
-        console.log(`      ⏳ ${thresholdKey}: Cooldown active (${remainingSeconds}s remaining) - skipping entire threshold`);
+      // Check THRESHOLD episode/cooldown marker (not per-pot!), shared by all replicas
+      const markerTtl = await redis.pttl(thresholdTriggerKey(thresholdKey));
+      if (markerTtl > 0) {
+        const remainingSeconds = Math.ceil(markerTtl / 1000);
+        console.log(`      ⏳ ${thresholdKey}: Job queued/running or cooldown active (${remainingSeconds}s remaining) - skipping entire threshold`);
         continue;
       }
 
       const batasBawah = threshold.batas_bawah || 30;
       const batasAtas = threshold.batas_atas || 70;
-      const durasi = threshold.durasi || 600;
+      const durasiDasar = threshold.durasi || 600;
+      const budget = getWaterBudget(kontrolConfig);
+      const siklus = buildSiklusPlan(threshold, durasiDasar, budget);
+      const durasi = siklus ? siklus.on_detik * siklus.ulang : applyWaterBudget(durasiDasar, budget); // Max duration in smart mode
       const smartMode = threshold.smart_mode === true;
       const potAktif = threshold.pot_aktif || [];
       const pompaAir = threshold.pompa_air === true;
       const pompaPupuk = threshold.pompa_pupuk === true;
+      const fertigasi = buildFertigasiPlan(threshold, durasi, pompaPupuk);
 
       // Collect pots that need watering in this threshold
       const potsNeedWatering = [];
@@ -978,6 +3742,40 @@ async function checkSensorThresholds() {
         }
       }
 
+      const siklusErrors = [...validateSiklus(threshold), ...validateFertigasi(threshold), ...validateVolume(threshold)];
+      if (potsNeedWatering.length > 0 && siklusErrors.length > 0) {
+        console.log(`      ⚠️  ${thresholdKey}: ${siklusErrors.join('; ')} - skipping threshold`);
+        continue;
+      }
+
+      // rutin: the threshold fires on its pots, but the job runs the routine's steps
+      const rutin = threshold.rutin !== undefined && potsNeedWatering.length > 0
+        ? resolveRutin(kontrolConfig, threshold.rutin, budget)
+        : null;
+      if (rutin?.error) {
+        console.log(`      ⚠️  ${thresholdKey}: ${rutin.error} - skipping threshold`);
+        continue;
+      }
+
+      // skip_if (rain / external conditions): evaluated only when the threshold would fire
+      if (potsNeedWatering.length > 0 && getSkipConditions(threshold).length > 0) {
+        const conditionErrors = validateSkipConditions(threshold);
+        if (conditionErrors.length > 0) {
+          console.log(`      ⚠️  ${thresholdKey}: ${conditionErrors.join('; ')} - skipping threshold`);
+          continue;
+        }
+
+        const skipReason = evaluateSkipConditions(threshold, sensorData);
+        if (skipReason) {
+          console.log(`      🌧️  ${thresholdKey}: ${skipReason} - skipping`);
+          // Checks run every 30s: historise a continuing skip only once per window
+          if (await claimTrigger(`${TRIGGER_KEY_PREFIX}:threshold-skip:${thresholdKey}`, skipReason, SKIP_LOG_TTL)) {
+            await logSkippedHistory(thresholdKey, potsNeedWatering, skipReason, sensorData);
+          }
+          continue;
+        }
+      }
+
       // NEW: Create SINGLE job for ALL pots that need watering in this threshold
       if (potsNeedWatering.length > 0) {
         console.log(`\n🌡️ THRESHOLD TRIGGERED: ${thresholdKey.toUpperCase()}`);
@@ -985,32 +3783,74 @@ async function checkSensorThresholds() {
         potDetails.forEach(p => console.log(`   - POT ${p.pot}: ${p.value}% < ${batasBawah}%`));
         console.log(`   Mode: ${smartMode ? 'Smart (monitor until ' + batasAtas + '%)' : 'Fixed (' + durasi + 's)'}`);
         console.log(`   Pumps: Air=${pompaAir}, Pupuk=${pompaPupuk}`);
+        if (budget.persen !== 100) {
+          console.log(`   Budget: ${budget.persen}% (${budget.sumber}) - durasi ${durasiDasar}s → ${durasi}s`);
+        }
+        if (siklus) {
+          console.log(`   Siklus: ${siklus.ulang}× (${siklus.on_detik}s ON / ${siklus.off_detik}s soak)`);
+        }
+        if (fertigasi && !rutin) {
+          console.log(`   Fertigasi: premix ${fertigasi.premix_detik}s → pupuk ${fertigasi.pupuk_detik}s → flush ${fertigasi.flush_detik}s`);
+        }
+        if (rutin) {
+          console.log(`   Rutin: ${rutin.key} (${rutin.nama}) - ${rutin.langkah.length} langkah, ${rutin.totalDetik}s`);
+        }
+        const volume = rutin ? null : buildVolumePlan(threshold, potsNeedWatering, kontrolConfig, budget);
+        if (volume) {
+          console.log(`   Volume: ${Object.entries(volume.target).map(([pot, ml]) => `pot ${pot} ${ml} ml`).join(', ')} (max ${durasi}s)`);
+        }
 
         const jobId = `${thresholdKey}-${Date.now()}`;
-        await wateringQueue.add(
-          thresholdKey,
-          {
-            type: 'sensor_threshold',
-            potNumbers: potsNeedWatering,  // ALL pots in 1 job!
-            pompaAir: pompaAir,
-            pompaPupuk: pompaPupuk,
-            duration: durasi,
-            scheduleId: jobId,
-            thresholdId: thresholdKey,
-            smartMode: smartMode,
-            sensorData: { 
-              batasBawah, 
-              batasAtas, 
-              mode: smartMode ? 'smart' : 'fixed',
-              potValues: potDetails
+
+        // Claim the episode: held until the job ends, then becomes the cooldown
+        const maxValveBersamaan = getMaxValveBersamaan(kontrolConfig);
+        const batchCount = splitValveBatches(potsNeedWatering, maxValveBersamaan).length;
+        const jobSeconds = rutin ? rutin.totalDetik : getJobWallSeconds(durasi, siklus, batchCount, fertigasi);
+        const episodeTtl = jobSeconds * 1000 + config.worker.sensorDebounce + THRESHOLD_QUEUE_BUFFER;
+        if (!await claimTrigger(thresholdTriggerKey(thresholdKey), jobId, episodeTtl)) {
+          console.log(`   ⏭️  ${thresholdKey}: episode already claimed by another worker - skipping`);
+          continue;
+        }
+
+        try {
+          await wateringQueue.add(
+            thresholdKey,
+            {
+              type: 'sensor_threshold',
+              potNumbers: potsNeedWatering,  // ALL pots in 1 job!
+              pompaAir: pompaAir,
+              pompaPupuk: pompaPupuk,
+              duration: durasi,
+              baseDuration: durasiDasar,
+              budgetPersen: budget.persen,
+              ...(siklus && { siklus }),
+              ...(maxValveBersamaan && { maxValveBersamaan }),
+              ...(fertigasi && { fertigasi }),
+              ...(rutin && {
+                rutin: { key: rutin.key, nama: rutin.nama, langkah: rutin.langkah },
+                duration: rutin.totalDetik,
+              }),
+              ...(volume && { volume }),
+              scheduleId: jobId,
+              thresholdId: thresholdKey,
+              smartMode: smartMode,
+              sensorData: { 
+                batasBawah, 
+                batasAtas, 
+                mode: smartMode ? 'smart' : 'fixed',
+                potValues: potDetails
+              },
             },
-          },
-          {
-            jobId,
-            removeOnComplete: true,
-            priority: 1, // Higher priority for sensor-triggered
-          }
-        );
+            {
+              jobId,
+              removeOnComplete: true,
+              priority: 1, // Higher priority for sensor-triggered
+            }
+          );
+        } catch (queueError) {
+          await releaseTrigger(thresholdTriggerKey(thresholdKey));
+          throw queueError;
+        }
 
         console.log(`   📌 Added to queue: ${jobId}`);
         console.log(`   🔄 ${thresholdKey} will execute simultaneously for ALL pots`);
@@ -1022,8 +3862,13 @@ async function checkSensorThresholds() {
   }
 }
 
+// Leader-only handles, so sensor monitoring can be stopped on step-down
+let sensorPollIntervalId = null;
+let firstSensorCheckTimeout = null;
+let sensorDataListener = null;
+
 // Setup sensor monitoring with BOTH listener (SDK) and polling (fallback)
-async function setupSensorMonitoring() {
+function setupSensorMonitoring() {
   console.log('🌡️  ==================== SENSOR MODE ENABLED ====================');
   console.log('✅ Sensor Mode (Threshold System) monitoring started');
   console.log('📍 Primary: Polling every 30 seconds (REST API)');
@@ -1034,7 +3879,7 @@ async function setupSensorMonitoring() {
 
   // METHOD 1: Polling (RELIABLE - uses REST API)
   // Check sensor threshold every 30 seconds
-  setInterval(async () => {
+  sensorPollIntervalId = setInterval(async () => {
     try {
       await checkSensorThresholds();
     } catch (error) {
@@ -1043,7 +3888,7 @@ async function setupSensorMonitoring() {
   }, 30000); // 30 seconds
 
   // Run first check immediately
-  setTimeout(async () => {
+  firstSensorCheckTimeout = setTimeout(async () => {
     console.log('🚀 Running first sensor check...');
     try {
       await checkSensorThresholds();
@@ -1055,7 +3900,7 @@ async function setupSensorMonitoring() {
 
   // METHOD 2: Firebase Listener (BACKUP - might not work if SDK fails)
   try {
-    db.ref('data').on('value', async (snapshot) => {
+    sensorDataListener = db.ref('data').on('value', async (snapshot) => {
       console.log('🔔 Firebase listener triggered (SDK working!)');
       // Call the same check function
       await checkSensorThresholds();
@@ -1068,11 +3913,311 @@ async function setupSensorMonitoring() {
   }
 }
 
-setupSensorMonitoring();
+function stopSensorMonitoring() {
+  clearInterval(sensorPollIntervalId);
+  clearTimeout(firstSensorCheckTimeout);
+  if (sensorDataListener) {
+    db.ref('data').off('value', sensorDataListener);
+    sensorDataListener = null;
+  }
+  console.log('⏹️  Sensor Mode monitoring stopped');
+}
+
+// ==================== COMMAND CHANNEL (/perintah) ====================
+
+// The app pushes commands to /perintah/{id}:
+//   { jenis: "siram", pot: [1, 2], durasi: 30, pompa_air: true, pompa_pupuk: false }  (or rutin: "pupuk_pagi")
+//   { jenis: "stop", job_id?: "perintah-..." }
+//   { jenis: "tes_aktuator", aktuator: "mosvet_3" | ["pompa_air", "pengaduk"], detik: 5 }
+// siram / tes_aktuator become queue jobs; the worker writes status back to the entry:
+// diterima → berjalan → selesai | gagal, or ditolak / kedaluwarsa when it is not run.
+// stop is handled immediately (selesai + dibatalkan: [job ids]).
+const PERINTAH_KEY_PREFIX = 'apsgo:perintah';
+const PERINTAH_FINAL_STATUS = ['selesai', 'gagal', 'ditolak', 'kedaluwarsa', 'dibatalkan'];
+const PERINTAH_CLAIM_TTL = 24 * 60 * 60 * 1000;
+const PERINTAH_MAX_DURASI = 1800;
+const TES_AKTUATOR_MAX_DETIK = 60;
+
+let perintahListener = null;
+let perintahPollIntervalId = null;
+
+async function updatePerintahStatus(perintahId, fields) {
+  try {
+    await updateFirebaseSmart(`${FIREBASE_PATHS.perintah}/${perintahId}`, { ...fields, diperbarui: Date.now() });
+  } catch (error) {
+    console.error(`   ⚠️ Failed to update perintah ${perintahId}:`, error.message);
+  }
+}
+
+// { name, data, opts } for the queue, or { error }
+async function buildPerintahJob(perintahId, perintah) {
+  const jobId = `perintah-${perintahId}`;
+
+  if (perintah.jenis === 'siram') {
+    const kontrolConfig = await fetchKontrolSmart();
+
+    if (perintah.rutin !== undefined) {
+      const rutin = resolveRutin(kontrolConfig, perintah.rutin, null);
+      if (rutin.error) {
+        return { error: rutin.error };
+      }
+      return {
+        name: 'perintah-siram',
+        data: {
+          type: 'manual',
+          potNumbers: rutin.pots,
+          pompaAir: rutin.langkah.some(step => step.outputs.includes('mosvet_1')),
+          pompaPupuk: rutin.langkah.some(step => step.outputs.includes('mosvet_2')),
+          duration: rutin.totalDetik,
+          rutin: { key: rutin.key, nama: rutin.nama, langkah: rutin.langkah },
+          scheduleId: jobId,
+          perintahId,
+        },
+        opts: { jobId, removeOnComplete: true },
+      };
+    }
+
+    const pots = perintah.pot;
+    if (!Array.isArray(pots) || pots.length === 0 || pots.some(p => !Number.isInteger(p) || p < 1 || p > 5)) {
+      return { error: 'pot harus array nomor pot 1-5, contoh [1, 2]' };
+    }
+    const durasi = perintah.durasi === undefined ? 60 : perintah.durasi;
+    if (typeof durasi !== 'number' || !Number.isFinite(durasi) || durasi <= 0 || durasi > PERINTAH_MAX_DURASI) {
+      return { error: `durasi harus angka 1-${PERINTAH_MAX_DURASI} detik (got: ${perintah.durasi})` };
+    }
+    const pompaAir = perintah.pompa_air !== false; // Default true
+    const pompaPupuk = perintah.pompa_pupuk === true;
+    const fertigasiErrors = validateFertigasi(perintah);
+    if (fertigasiErrors.length > 0) {
+      return { error: fertigasiErrors.join('; ') };
+    }
+    const fertigasi = buildFertigasiPlan(perintah, Math.round(durasi), pompaPupuk);
+    const maxValveBersamaan = getMaxValveBersamaan(kontrolConfig);
+
+    return {
+      name: 'perintah-siram',
+      data: {
+        type: 'manual',
+        potNumbers: [...new Set(pots)],
+        pompaAir,
+        pompaPupuk,
+        duration: Math.round(durasi),
+        ...(maxValveBersamaan && { maxValveBersamaan }),
+        ...(fertigasi && { fertigasi }),
+        scheduleId: jobId,
+        perintahId,
+      },
+      opts: { jobId, removeOnComplete: true },
+    };
+  }
+
+  if (perintah.jenis === 'tes_aktuator') {
+    const aktuator = Array.isArray(perintah.aktuator) ? perintah.aktuator : [perintah.aktuator];
+    const unknown = aktuator.filter(a => !RUTIN_ALIASES[a] && !/^mosvet_[1-8]$/.test(a));
+    if (aktuator.length === 0 || unknown.length > 0) {
+      return { error: `aktuator tidak dikenal: ${unknown.join(', ') || '-'} (pakai mosvet_1..8, pompa_air, pompa_pupuk, pengaduk)` };
+    }
+    const detik = perintah.detik === undefined ? 5 : perintah.detik;
+    if (typeof detik !== 'number' || detik <= 0 || detik > TES_AKTUATOR_MAX_DETIK) {
+      return { error: `detik harus angka 1-${TES_AKTUATOR_MAX_DETIK} (got: ${perintah.detik})` };
+    }
+
+    // A one-step routine: same runner, safety OFF and history as any other job
+    const step = parseRutinStep({ detik, ...Object.fromEntries(aktuator.map(a => [a, true])) }, 0);
+    return {
+      name: 'perintah-tes',
+      data: {
+        type: 'tes_aktuator',
+        potNumbers: step.outputs.map(k => Number(k.slice('mosvet_'.length)) - 2).filter(pot => pot >= 1 && pot <= 5),
+        pompaAir: step.outputs.includes('mosvet_1'),
+        pompaPupuk: step.outputs.includes('mosvet_2'),
+        duration: step.detik,
+        rutin: { key: 'tes_aktuator', nama: 'tes_aktuator', langkah: [step] },
+        scheduleId: jobId,
+        perintahId,
+      },
+      opts: { jobId, removeOnComplete: true },
+    };
+  }
+
+  return { error: `jenis harus "siram", "stop" atau "tes_aktuator" (got: ${perintah.jenis})` };
+}
+
+// STOP: cancel the running job(s) (all, or the one in job_id) - they turn their outputs OFF
+async function cancelActiveJobs(targetJobId, reason) {
+  const cancelled = [];
+  const active = await wateringQueue.getJobs(['active']);
+  for (const job of active) {
+    if (!job || job.data?.type === 'stop' || (targetJobId && job.id !== targetJobId)) continue;
+    await requestJobCancel(job.id, reason);
+    cancelled.push(job.id);
+  }
+  return cancelled;
+}
+
+// STOP: drop jobs that have not started yet - every queued watering job (schedule,
+// threshold, command), or only the one in job_id.
+// A job that started in the meantime is locked (BullMQ won't remove it): cancel it instead
+async function removeWaitingJobs(targetJobId, reason) {
+  const removed = [];
+  const waiting = await wateringQueue.getJobs(['waiting', 'prioritized', 'delayed']);
+  for (const job of waiting) {
+    if (!job || job.data?.type === 'stop') continue;
+    if (targetJobId && job.id !== targetJobId) continue;
+    try {
+      await job.remove();
+      removed.push(job.id);
+      if (job.data?.perintahId) {
+        await updatePerintahStatus(job.data.perintahId, { status: 'dibatalkan', selesai_pada: Date.now() });
+      }
+    } catch (error) {
+      if (await job.getState().catch(() => null) === 'active') {
+        await requestJobCancel(job.id, reason);
+        removed.push(job.id);
+      } else {
+        console.warn(`   ⚠️ Failed to remove ${job.id}: ${error.message}`);
+      }
+    }
+  }
+  return removed;
+}
+
+// STOP runs right here instead of as a queue job: a queued stop would wait behind
+// the very jobs it has to stop (the queue runs one job at a time)
+async function handleStopPerintah(perintahId, perintah) {
+  const targetJobId = perintah.job_id || null;
+  const reason = `perintah stop ${perintahId}`;
+  try {
+    const dibatalkan = [
+      ...await cancelActiveJobs(targetJobId, reason),
+      ...await removeWaitingJobs(targetJobId, reason),
+    ];
+    if (!targetJobId) {
+      await setAktuator(ALL_AKTUATOR_OFF);
+      console.log('   🛡️ All aktuators turned OFF');
+    }
+
+    console.log(`   ✅ Stop done${dibatalkan.length ? ` (dibatalkan: ${dibatalkan.join(', ')})` : ''}`);
+    await updatePerintahStatus(perintahId, { status: 'selesai', selesai_pada: Date.now(), dibatalkan });
+  } catch (error) {
+    console.error(`   ❌ Stop ${perintahId} failed:`, error.message);
+    await updatePerintahStatus(perintahId, { status: 'gagal', selesai_pada: Date.now(), error: error.message });
+  }
+}
+
+async function handlePerintah(perintahId, perintah) {
+  if (!perintah || typeof perintah !== 'object' || (perintah.status && perintah.status !== 'baru')) {
+    return;
+  }
+
+  // Listener and polling may both see the entry; replicas may overlap during failover
+  try {
+    if (!await claimTrigger(`${PERINTAH_KEY_PREFIX}:${perintahId}`, instanceId, PERINTAH_CLAIM_TTL)) {
+      return;
+    }
+  } catch (redisError) {
+    console.error(`❌ Failed to claim perintah ${perintahId}:`, redisError.message);
+    return;
+  }
+
+  console.log(`\n📨 PERINTAH ${perintahId}: ${perintah.jenis}`);
+
+  const dibuat = Number(perintah.dibuat);
+  if (Number.isFinite(dibuat) && dibuat > 0 && Date.now() - dibuat > config.worker.perintahMaxAge) {
+    console.log(`   ⏭️  Perintah kedaluwarsa (dibuat ${Math.round((Date.now() - dibuat) / 60000)} menit lalu)`);
+    await updatePerintahStatus(perintahId, { status: 'kedaluwarsa' });
+    return;
+  }
+
+  if (perintah.jenis === 'stop') {
+    await handleStopPerintah(perintahId, perintah);
+    return;
+  }
+
+  try {
+    const built = await buildPerintahJob(perintahId, perintah);
+    if (built.error) {
+      console.log(`   ❌ Ditolak: ${built.error}`);
+      await updatePerintahStatus(perintahId, { status: 'ditolak', error: built.error });
+      return;
+    }
+
+    await wateringQueue.add(built.name, built.data, built.opts);
+
+    console.log(`   ✅ Queued: ${built.opts.jobId}`);
+    await updatePerintahStatus(perintahId, {
+      status: 'diterima',
+      diterima_pada: Date.now(),
+      job_id: built.opts.jobId,
+    });
+  } catch (error) {
+    console.error(`   ❌ Failed to queue perintah ${perintahId}:`, error.message);
+    await updatePerintahStatus(perintahId, { status: 'gagal', error: error.message });
+  }
+}
+
+async function pollPerintah() {
+  try {
+    const entries = await readFirebaseSmart(FIREBASE_PATHS.perintah);
+    for (const [perintahId, perintah] of Object.entries(entries || {})) {
+      await handlePerintah(perintahId, perintah);
+    }
+  } catch (error) {
+    console.error('❌ Polling perintah failed:', error.message);
+  }
+}
+
+function startPerintahListener() {
+  perintahPollIntervalId = setInterval(pollPerintah, config.worker.perintahPollInterval);
+  pollPerintah();
+
+  try {
+    perintahListener = db.ref(FIREBASE_PATHS.perintah).on('child_added', (snapshot) => {
+      handlePerintah(snapshot.key, snapshot.val());
+    }, (error) => {
+      console.error('❌ Perintah listener error:', error.message);
+    });
+    console.log(`✅ Perintah listener attached on /${FIREBASE_PATHS.perintah}`);
+  } catch (error) {
+    console.log('⚠️  Perintah listener failed to attach (will rely on polling)');
+  }
+}
+
+// Entries in a final status are only kept for config.worker.perintahRetention
+// (age from the last status write, or `dibuat` if the worker never touched it)
+async function cleanupPerintah() {
+  const entries = await readFirebaseSmart(FIREBASE_PATHS.perintah);
+  const cutoff = Date.now() - config.worker.perintahRetention;
+  const removals = {};
+
+  for (const [perintahId, perintah] of Object.entries(entries || {})) {
+    if (!perintah || !PERINTAH_FINAL_STATUS.includes(perintah.status)) continue;
+    const updatedAt = Number(perintah.diperbarui || perintah.dibuat);
+    if (Number.isFinite(updatedAt) && updatedAt < cutoff) {
+      removals[perintahId] = null;
+    }
+  }
+
+  const count = Object.keys(removals).length;
+  if (count > 0) {
+    await updateFirebaseSmart(FIREBASE_PATHS.perintah, removals);
+  }
+  return count;
+}
+
+function stopPerintahListener() {
+  clearInterval(perintahPollIntervalId);
+  perintahPollIntervalId = null;
+  if (perintahListener) {
+    db.ref(FIREBASE_PATHS.perintah).off('child_added', perintahListener);
+    perintahListener = null;
+  }
+  console.log('⏹️  Perintah listener stopped');
+}
 
 // ==================== HISTORY LOGGING ====================
 
-async function logHistory(type, potNumbers, duration) {
+async function logHistory(type, potNumbers, duration, extra = {}) {
   try {
     const now = new Date();
     const dateKey = `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}-${now.getDate().toString().padStart(2, '0')}`;
@@ -1086,6 +4231,7 @@ async function logHistory(type, potNumbers, duration) {
       type: type,
       pots: potNumbers,
       duration: duration,
+      ...extra,
       ...sensorData,
     });
 
@@ -1095,6 +4241,32 @@ async function logHistory(type, potNumbers, duration) {
   }
 }
 
+// Record a trigger that was skipped (e.g. soil already wet) so users can see why
+// a schedule or threshold did nothing. Stored next to the regular entries under
+// history/{date}/{HH:MM}_skip_{source}.
+async function logSkippedHistory(source, potNumbers, reason, sensorData = null) {
+  try {
+    const now = new Date();
+    const dateKey = formatDateKey(now);
+    const timeKey = formatTimeKey(now);
+
+    const data = sensorData || await readFirebaseSmart('data') || {};
+
+    await setFirebaseSmart(`history/${dateKey}/${timeKey}_skip_${source}`, {
+      timestamp: now.getTime(),
+      type: 'skipped',
+      source: source,
+      pots: potNumbers,
+      reason: reason,
+      ...data,
+    });
+
+    console.log(`   📊 Skip logged: ${dateKey} ${timeKey} (${source}: ${reason})`);
+  } catch (error) {
+    console.error('   ⚠️ Failed to log skip history:', error.message);
+  }
+}
+
 // ==================== PERIODIC HISTORY LOGGING ====================
 
 // Auto-log sensor data setiap 10 menit (independent from watering)
@@ -1120,9 +4292,6 @@ const autoLogJob = new cron.CronJob('*/10 * * * *', async () => {
   }
 });
 
-autoLogJob.start();
-console.log('✅ Auto history logging started (every 10 minutes)');
-
 // ==================== CLEANUP OLD HISTORY (DAILY) ====================
 
 const cleanupJob = new cron.CronJob('0 2 * * *', async () => {
@@ -1158,10 +4327,108 @@ const cleanupJob = new cron.CronJob('0 2 * * *', async () => {
   } catch (error) {
     console.error('❌ Cleanup failed:', error.message);
   }
+
+  try {
+    const removed = await cleanupPerintah();
+    console.log(`✅ Perintah cleanup completed: ${removed} entries removed`);
+  } catch (error) {
+    console.error('❌ Perintah cleanup failed:', error.message);
+  }
 });
 
-cleanupJob.start();
-console.log('✅ History cleanup scheduled (daily at 2 AM)');
+// ==================== LEADER ELECTION (REDIS LEASE) ====================
+
+// Only the leader runs trigger loops (schedule timers, sensor polling/listener)
+// and crons. Every replica still processes `watering` queue jobs.
+const LEADER_KEY = 'apsgo:leader';
+const instanceId = `${os.hostname()}-${process.pid}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Extend / release the lease only if this instance still owns it (atomic compare)
+const RENEW_LEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+const RELEASE_LEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+let isLeader = false;
+let lastLeaseRenewal = 0;
+let leaderElectionIntervalId = null;
+
+function startLeaderTasks() {
+  startWaktuScheduler();
+  setupSensorMonitoring();
+  startPerintahListener();
+
+  autoLogJob.start();
+  console.log('✅ Auto history logging started (every 10 minutes)');
+
+  cleanupJob.start();
+  console.log('✅ History & perintah cleanup scheduled (daily at 2 AM)');
+}
+
+function stopLeaderTasks() {
+  stopWaktuScheduler();
+  stopSensorMonitoring();
+  stopPerintahListener();
+  autoLogJob.stop();
+  cleanupJob.stop();
+  console.log('⏹️  Crons stopped (auto-log, cleanup)');
+}
+
+function stepDown(reason) {
+  console.warn(`👑 Stepping down as leader: ${reason}`);
+  isLeader = false;
+  stopLeaderTasks();
+}
+
+async function runLeaderElection() {
+  try {
+    if (isLeader) {
+      const renewed = await redis.eval(RENEW_LEASE_SCRIPT, 1, LEADER_KEY, instanceId, config.worker.leaderLeaseTtl);
+      if (renewed === 1) {
+        lastLeaseRenewal = Date.now();
+      } else {
+        stepDown('lease expired and was taken by another instance');
+      }
+      return;
+    }
+
+    const acquired = await redis.set(LEADER_KEY, instanceId, 'PX', config.worker.leaderLeaseTtl, 'NX');
+    if (acquired === 'OK') {
+      isLeader = true;
+      lastLeaseRenewal = Date.now();
+      console.log(`\n👑 This instance is now LEADER (${instanceId}) - starting trigger loops & crons`);
+      startLeaderTasks();
+    }
+  } catch (error) {
+    console.error('❌ Leader election error:', error.message);
+
+    // Redis unreachable: once our lease may have expired, another replica can lead
+    if (isLeader && Date.now() - lastLeaseRenewal >= config.worker.leaderLeaseTtl) {
+      stepDown('lease could not be renewed in time');
+    }
+  }
+}
+
+function startLeaderElection() {
+  console.log(`🗳️  Leader election started (instance ${instanceId}, lease ${config.worker.leaderLeaseTtl / 1000}s)`);
+  runLeaderElection();
+  leaderElectionIntervalId = setInterval(runLeaderElection, config.worker.leaderRenewInterval);
+}
+
+// Release the lease on shutdown so another replica takes over immediately
+async function releaseLeadership() {
+  clearInterval(leaderElectionIntervalId);
+  if (!isLeader) {
+    return;
+  }
+  stepDown('shutting down');
+  try {
+    await redis.eval(RELEASE_LEASE_SCRIPT, 1, LEADER_KEY, instanceId);
+    console.log('✅ Leader lease released');
+  } catch (error) {
+    console.warn(`⚠️ Failed to release leader lease: ${error.message}`);
+  }
+}
+
+startLeaderElection();
 
 // ==================== UTILITIES ====================
 
@@ -1169,6 +4436,16 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// "YYYY-MM-DD" in local timezone (process.env.TZ)
+function formatDateKey(date) {
+  return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}`;
+}
+
+// "HH:MM" in local timezone (process.env.TZ)
+function formatTimeKey(date) {
+  return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+}
+
 // ==================== MANUAL TEST FUNCTIONS ====================
 
 // 🧪 Test scheduler sekarang juga (untuk debugging)
@@ -1301,22 +4578,90 @@ async function healthCheck() {
     console.log(`   Firebase: ${firebaseOk ? '✅' : '❌'} Connected`);
     console.log(`   Redis: ✅ Connected`);
     console.log(`   Queue: ${queueStatus.active} active, ${queueStatus.waiting} waiting`);
+    console.log(`   Leader: ${isLeader ? '👑 YES' : 'no (standby, processing jobs only)'} [${instanceId}]`);
   } catch (error) {
     console.error('❤️‍🩹 HEALTH CHECK FAILED:', error.message);
   }
 }
 
 // Run health check every 5 minutes
-setInterval(healthCheck, 300000);
+const healthCheckIntervalId = setInterval(healthCheck, 300000);
 
 // ==================== GRACEFUL SHUTDOWN ====================
 
-async function shutdown() {
-  console.log('\n🛑 Shutting down gracefully...');
+// On SIGTERM/SIGINT: stop triggers (leader tasks, crons, intervals), give the active
+// job up to config.worker.shutdownTimeout to finish, otherwise interrupt it - it turns
+// its outputs OFF, records `terputus` in history and goes back to the queue with its
+// checkpoint (resumed after the restart or by another replica) - then turn OFF
+// whatever this instance still has ON (never another replica's outputs) and exit.
+const SHUTDOWN_ABORT_GRACE = 15000; // Time for the interrupt path (OFF + history + requeue)
 
-  try {
-    await wateringWorker.close();
+let shuttingDown = false;
+
+// true if `promise` settled within `ms`
+function settledWithin(promise, ms) {
+  return Promise.race([
+    promise.then(() => true, () => true),
+    sleep(ms).then(() => false),
+  ]);
+}
+
+async function stopActiveJob() {
+  const workerClosed = wateringWorker.close(); // No new jobs; resolves when the active one ends
+  if (jobAktif) {
+    console.log(`⏳ Waiting up to ${config.worker.shutdownTimeout / 1000}s for active job ${jobAktif.job_id}...`);
+  }
+  if (await settledWithin(workerClosed, config.worker.shutdownTimeout)) {
     console.log('✅ Worker closed');
+    return;
+  }
+
+  const interrupted = jobAktif && { ...jobAktif };
+  console.warn(`⏱️ Active job ${interrupted?.job_id || '(starting)'} still running - interrupting`);
+  interruptActiveJob('worker shutdown');
+
+  if (!await settledWithin(workerClosed, SHUTDOWN_ABORT_GRACE)) {
+    // Processor is stuck (e.g. Firebase hanging): record the interruption ourselves.
+    // The job stays active with its checkpoint and is re-run once its lock expires.
+    console.error('❌ Job did not stop in time - forcing shutdown');
+    if (interrupted && claimCancelHistory(interrupted.job_id)) {
+      await logHistory(interrupted.type, interrupted.pots, Math.round((Date.now() - interrupted.mulai) / 1000), {
+        terputus: true,
+        alasan: 'worker shutdown',
+        durasi_rencana: interrupted.durasi_rencana,
+      });
+    }
+  }
+
+  if (aktuatorOutputsOn.size > 0) {
+    const offUpdates = {};
+    aktuatorOutputsOn.forEach(k => { offUpdates[k] = false; });
+    await writeAktuator(offUpdates);
+    console.log('🛡️ Safety: Turned OFF', Object.keys(offUpdates).join(', '));
+  }
+}
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    console.log(`⚠️ ${signal} received again - shutdown already in progress`);
+    return;
+  }
+  shuttingDown = true;
+  console.log(`\n🛑 ${signal} received - shutting down gracefully...`);
+
+  try {
+    // No new triggers: schedulers, sensor monitoring, /perintah and crons (leader only)
+    await releaseLeadership();
+    clearInterval(healthCheckIntervalId);
+    clearInterval(heartbeatIntervalId);
+    clearInterval(timeCheckIntervalId);
+    console.log('⏹️  Intervals stopped (health check, heartbeat, time check)');
+
+    try {
+      await stopActiveJob();
+    } catch (error) {
+      console.error('⚠️ Stopping active job failed:', error.message);
+    }
 
     await wateringQueue.close();
     console.log('✅ Queue closed');
@@ -1364,6 +4709,8 @@ console.log('   • Sensor Mode (Threshold-based automation)');
 console.log('   • Auto History Logging (every 10 min)');
 console.log('   • History Cleanup (daily at 2 AM)');
 console.log('   • Health Check (every 5 min)');
+console.log('   • Leader Election (only leader runs schedulers & crons)');
+console.log('   • Command Channel (/perintah: siram, stop, tes_aktuator)');
 console.log('\n🎯 Worker is ready to process jobs...\n');
 
 // Initial health check
@@ -1372,7 +4719,7 @@ setTimeout(healthCheck, 5000);
 // ==================== KEEP-ALIVE MECHANISM ====================
 
 // Heartbeat every 30 seconds to prevent Railway from stopping container
-setInterval(() => {
+const heartbeatIntervalId = setInterval(() => {
   const uptime = Math.floor(process.uptime());
   const hours = Math.floor(uptime / 3600);
   const minutes = Math.floor((uptime % 3600) / 60);
@@ -1406,9 +4753,11 @@ setTimeout(async () => {
     console.log('\n🔧 RUNNING DIAGNOSTIC CHECKS...');
     await showCurrentTime();
     await checkAktuatorNode();
+    await reconcileAktuators();
     console.log('\n✅ Diagnostic checks completed');
     console.log('\n💡 TIP: To test scheduler manually, check the logs above for current time');
     console.log('   Then set waktu_1 or waktu_2 in Firebase to match current time + 1 minute');
+    console.log(`   Verify the upcoming runs in /${FIREBASE_PATHS.status}/next_runs before they fire`);
   } catch (error) {
     console.error('❌ Diagnostic checks failed:', error.message);
     console.error(error.stack);
@@ -1416,7 +4765,7 @@ setTimeout(async () => {
 }, 5000);
 
 // Auto-run test scheduler setiap 10 menit untuk memastikan worker alive
-setInterval(() => {
+const timeCheckIntervalId = setInterval(() => {
   const now = new Date();
   // Run at :00, :10, :20, :30, :40, :50
   if (now.getMinutes() % 10 === 0 && now.getSeconds() < 30) {